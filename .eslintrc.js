@@ -15,4 +15,10 @@ module.exports = {
     'linebreak-style': ['error', 'unix'], // enforce unix linebreaks
     'no-param-reassign': [2, { props: false }], // allow modifying properties of param
   },
+  overrides: [
+    {
+      files: ['tests/**'],
+      env: { node: true, es2020: true },
+    },
+  ],
 };
@@ -0,0 +1,332 @@
+/**
+ * Business hours
+ *
+ * Reads the contact centre's hours from business-hours.json and works out
+ * whether it is open right now. The workbook has three sheets:
+ *
+ *   default:  Customer Contact Number | Timezone (e.g. Australia/Sydney)
+ *   hours:    Day (Monday…Sunday) | Opens | Closes, one row per opening period
+ *   holidays: Date (YYYY-MM-DD) | Name | Opens | Closes, blank times for closed
+ *
+ * Times are wall-clock times in the sheet's timezone (Australia/Sydney unless
+ * set), so the status is right whatever timezone the dealer's browser is in.
+ * A single-sheet workbook with only the free-text `Business Hours` column is
+ * still shown as before, without a status.
+ */
+
+const DEFAULT_TIME_ZONE = 'Australia/Sydney';
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// hours are listed from Monday
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+// how far ahead to look for the next opening, covers the Christmas shutdown
+const MAX_LOOKAHEAD_DAYS = 21;
+// holidays coming up within this many days are listed with the hours
+const UPCOMING_HOLIDAY_DAYS = 14;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function sheetRows(json, name) {
+  return json?.[name]?.data || [];
+}
+
+/**
+ * Parses a sheet time such as `8:30`, `17:30` or `5:30pm`.
+ * @param {string} value
+ * @returns {number|null} minutes after midnight, null if not a time
+ */
+function parseTime(value) {
+  const match = String(value ?? '').trim().toLowerCase()
+    .match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
+  }
+  if (hours > 24 || minutes > 59 || hours * 60 + minutes > 24 * 60) return null;
+  return hours * 60 + minutes;
+}
+
+function toDateKey(utcMs) {
+  return Number.isNaN(utcMs) ? null : new Date(utcMs).toISOString().slice(0, 10);
+}
+
+function fromDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDays(dateKey, days) {
+  return toDateKey(fromDateKey(dateKey).getTime() + days * DAY_MS);
+}
+
+/**
+ * Parses a sheet date: ISO, day/month/year or a spreadsheet serial number.
+ * @param {string|number} value
+ * @returns {string|null} date as YYYY-MM-DD, null if not a date
+ */
+function parseDate(value) {
+  const text = String(value ?? '').trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return toDateKey(Date.UTC(match[1], match[2] - 1, match[3]));
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) return toDateKey(Date.UTC(match[3], match[2] - 1, match[1]));
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    // days since 30 Dec 1899, as spreadsheets count them
+    return toDateKey(Date.UTC(1899, 11, 30) + Math.floor(Number(text)) * DAY_MS);
+  }
+  return null;
+}
+
+function parsePeriod(row) {
+  const opens = parseTime(row.Opens);
+  const closes = parseTime(row.Closes);
+  return opens !== null && closes !== null && opens < closes ? { opens, closes } : null;
+}
+
+function findDay(value) {
+  const name = String(value ?? '').trim().toLowerCase();
+  if (name.length < 3) return -1;
+  return DAYS.findIndex((day) => day.toLowerCase().startsWith(name));
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    Intl.DateTimeFormat('en-AU', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Reads the business hours from the business-hours.json response.
+ * @param {Object} json response of business-hours.json
+ * @returns {{timeZone: string, weekly: Object[][], holidays: Map<string, Object>,
+ *     hasSchedule: boolean, customerContactNumber: string, summary: string}}
+ *     weekly holds the opening periods (minutes after midnight) per weekday,
+ *     Sunday first; holidays maps a YYYY-MM-DD date to its name and periods
+ */
+export function parseBusinessHours(json) {
+  const details = (json?.default || json)?.data?.[0] || {};
+
+  let timeZone = String(details.Timezone || '').trim() || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(timeZone)) {
+    // eslint-disable-next-line no-console
+    console.warn(`Unknown timezone "${timeZone}" in business-hours.json, using ${DEFAULT_TIME_ZONE}`);
+    timeZone = DEFAULT_TIME_ZONE;
+  }
+
+  const weekly = DAYS.map(() => []);
+  sheetRows(json, 'hours').forEach((row) => {
+    const day = findDay(row.Day);
+    const period = parsePeriod(row);
+    if (day !== -1 && period) weekly[day].push(period);
+  });
+  weekly.forEach((periods) => periods.sort((a, b) => a.opens - b.opens));
+
+  const holidays = new Map();
+  sheetRows(json, 'holidays').forEach((row) => {
+    const date = parseDate(row.Date);
+    if (!date) return;
+    const holiday = holidays.get(date) || { name: String(row.Name || '').trim(), periods: [] };
+    const period = parsePeriod(row);
+    if (period) holiday.periods.push(period);
+    holidays.set(date, holiday);
+  });
+
+  return {
+    timeZone,
+    weekly,
+    holidays,
+    hasSchedule: weekly.some((periods) => periods.length > 0),
+    customerContactNumber: details['Customer Contact Number'] || '',
+    summary: details['Business Hours'] || '',
+  };
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone.
+ * @param {Date} date
+ * @param {string} [timeZone] defaults to the browser's
+ * @returns {{dateKey: string, minutes: number}}
+ */
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-AU', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(({ type, value }) => [type, value]));
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+function periodsOn(hours, dateKey) {
+  const holiday = hours.holidays.get(dateKey);
+  return holiday ? holiday.periods : hours.weekly[fromDateKey(dateKey).getUTCDay()];
+}
+
+/**
+ * Works out whether the business is open at a given time.
+ * @param {Object} hours result of parseBusinessHours()
+ * @param {Date} [now]
+ * @returns {{open: boolean, closes?: number, opens?: number, date?: string,
+ *     daysAhead?: number, holiday?: string}} when open, the closing time;
+ *     when closed, the next opening (if any within three weeks) and the
+ *     holiday that closes it today
+ */
+export function getOpeningStatus(hours, now = new Date()) {
+  const { dateKey, minutes } = zonedParts(now, hours.timeZone);
+  const current = periodsOn(hours, dateKey)
+    .find((period) => minutes >= period.opens && minutes < period.closes);
+  if (current) {
+    return { open: true, closes: current.closes };
+  }
+
+  const status = { open: false, holiday: hours.holidays.get(dateKey)?.name || undefined };
+  for (let daysAhead = 0; daysAhead <= MAX_LOOKAHEAD_DAYS; daysAhead += 1) {
+    const date = addDays(dateKey, daysAhead);
+    const next = periodsOn(hours, date).find((period) => daysAhead > 0 || period.opens > minutes);
+    if (next) {
+      return {
+        ...status, opens: next.opens, date, daysAhead,
+      };
+    }
+  }
+  return status;
+}
+
+/**
+ * Formats minutes after midnight as e.g. `8:30am` or `5pm`.
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatTime(minutes) {
+  const hours = Math.floor(minutes / 60) % 24;
+  const rest = minutes % 60;
+  return `${hours % 12 || 12}${rest ? `:${String(rest).padStart(2, '0')}` : ''}${hours < 12 ? 'am' : 'pm'}`;
+}
+
+function formatDay(dateKey, daysAhead) {
+  if (daysAhead === 0) return '';
+  if (daysAhead === 1) return 'tomorrow ';
+  const date = fromDateKey(dateKey);
+  const weekday = DAYS[date.getUTCDay()];
+  if (daysAhead < 7) return `${weekday} `;
+  return `${weekday} ${date.toLocaleDateString('en-AU', { day: 'numeric', month: 'short', timeZone: 'UTC' })} `;
+}
+
+/**
+ * Describes the opening status, e.g. `Open now – closes 5:30pm` or
+ * `Closed – opens Monday 8:30am`. Times are in the business' timezone, which
+ * is named when the browser is in a different one.
+ * @param {Object} hours result of parseBusinessHours()
+ * @param {Date} [now]
+ * @returns {{open: boolean, text: string}}
+ */
+export function describeOpeningStatus(hours, now = new Date()) {
+  const status = getOpeningStatus(hours, now);
+  let text;
+  if (status.open) {
+    text = `Open now – closes ${formatTime(status.closes)}`;
+  } else {
+    const closed = status.holiday ? `Closed for ${status.holiday}` : 'Closed';
+    text = status.opens === undefined
+      ? closed
+      : `${closed} – opens ${formatDay(status.date, status.daysAhead)}${formatTime(status.opens)}`;
+  }
+
+  const business = zonedParts(now, hours.timeZone);
+  const local = zonedParts(now);
+  if (business.dateKey !== local.dateKey || business.minutes !== local.minutes) {
+    text += ` (${hours.timeZone.split('/').pop().replace(/_/g, ' ')} time)`;
+  }
+  return { open: status.open, text };
+}
+
+function formatPeriods(periods) {
+  return periods.length
+    ? periods.map(({ opens, closes }) => `${formatTime(opens)} – ${formatTime(closes)}`).join(', ')
+    : 'Closed';
+}
+
+/**
+ * Lists the weekly hours, days with the same hours grouped (e.g.
+ * `Monday – Friday: 8:30am – 5:30pm`), followed by holidays in the next two weeks.
+ * @param {Object} hours result of parseBusinessHours()
+ * @param {Date} [now]
+ * @returns {string[]} one line per group or holiday
+ */
+export function formatWeeklyHours(hours, now = new Date()) {
+  const groups = [];
+  WEEK_ORDER.forEach((day) => {
+    const value = formatPeriods(hours.weekly[day]);
+    const last = groups[groups.length - 1];
+    if (last?.value === value) {
+      last.to = day;
+    } else {
+      groups.push({ from: day, to: day, value });
+    }
+  });
+  const lines = groups.map(({ from, to, value }) => `${DAYS[from]}${from === to ? '' : ` – ${DAYS[to]}`}: ${value}`);
+
+  const today = zonedParts(now, hours.timeZone).dateKey;
+  const until = addDays(today, UPCOMING_HOLIDAY_DAYS);
+  [...hours.holidays.entries()]
+    .filter(([date]) => date >= today && date <= until)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([date, { name, periods }]) => {
+      const day = fromDateKey(date).toLocaleDateString('en-AU', {
+        weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC',
+      });
+      lines.push(`${name || 'Public holiday'} (${day}): ${formatPeriods(periods)}`);
+    });
+  return lines;
+}
+
+/**
+ * Fills every `.opening-status` element under root with the current status.
+ * @param {HTMLElement} root
+ * @param {Object} hours result of parseBusinessHours()
+ */
+export function updateOpeningStatus(root, hours) {
+  const { open, text } = describeOpeningStatus(hours);
+  root.querySelectorAll('.opening-status').forEach((el) => {
+    el.textContent = text;
+    el.classList.toggle('is-open', open);
+    el.classList.toggle('is-closed', !open);
+  });
+}
+
+/**
+ * Keeps the opening status under root current while the page stays open,
+ * refreshing on every minute and when the tab becomes visible again.
+ * Stops once root is removed from the page.
+ * @param {HTMLElement} root
+ * @param {Object} hours result of parseBusinessHours()
+ */
+export function watchOpeningStatus(root, hours) {
+  const listening = new AbortController();
+  let timer;
+  const refresh = () => {
+    clearTimeout(timer);
+    if (!root.isConnected) {
+      listening.abort();
+      return;
+    }
+    updateOpeningStatus(root, hours);
+    // opening times fall on whole minutes in every timezone
+    timer = setTimeout(refresh, MINUTE_MS - (Date.now() % MINUTE_MS));
+  };
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') refresh();
+  }, { signal: listening.signal });
+  refresh();
+}
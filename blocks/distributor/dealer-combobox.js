@@ -0,0 +1,237 @@
+/**
+ * Dealer combobox
+ *
+ * Searchable dealer picker following the WAI-ARIA combobox pattern (an input
+ * with a listbox popup). Typing filters on distributor name and agent number;
+ * recently used dealers are listed first. Only the first MAX_RESULTS matches
+ * are rendered so lists of thousands of dealers stay fast.
+ *
+ * Keyboard: ArrowDown/ArrowUp move through the options (opening the list if
+ * needed), PageDown/PageUp move by a page, Enter picks the highlighted dealer,
+ * Escape closes the list or, if it is closed, clears the search.
+ */
+
+const RECENT_KEY = 'cil-agent:recent';
+const MAX_RECENT = 5;
+const MAX_RESULTS = 50;
+const PAGE_SIZE = 10;
+
+function readRecent() {
+  try {
+    return JSON.parse(localStorage.getItem(RECENT_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function rememberRecent(agentId) {
+  const recent = [agentId, ...readRecent().filter((id) => id !== agentId)].slice(0, MAX_RECENT);
+  try {
+    localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+  } catch (e) {
+    // storage unavailable, recent dealers are a convenience only
+  }
+}
+
+/**
+ * Forgets the recently used dealers, e.g. on logout.
+ */
+export function clearRecentDealers() {
+  localStorage.removeItem(RECENT_KEY);
+}
+
+function normalize(value) {
+  return String(value ?? '').toLowerCase().trim();
+}
+
+/**
+ * Creates the dealer combobox.
+ * @param {Object[]} dealers dealers with agent_id and distributor_name
+ * @param {Object} options
+ * @param {string} [options.id] id of the input, for an external label
+ * @param {Function} options.onSelect called with the dealer the user picked
+ * @returns {{element: HTMLElement, setSelected: Function}} the combobox element and a
+ *     function to show a dealer (by agent_id) as selected
+ */
+export default function createDealerCombobox(dealers, { id = 'dealerSelect', onSelect }) {
+  const listboxId = `${id}-listbox`;
+  const entries = dealers.map((dealer, index) => ({
+    dealer,
+    agentId: String(dealer.agent_id),
+    optionId: `${id}-option-${index}`,
+    label: `${dealer.distributor_name} (${dealer.agent_id})`,
+    name: normalize(dealer.distributor_name),
+    number: normalize(dealer.agent_id),
+  }));
+
+  let selected = null;
+  let matches = [];
+  let activeIndex = -1;
+
+  const element = document.createElement('div');
+  element.className = 'dealer-combobox';
+
+  const input = document.createElement('input');
+  input.id = id;
+  input.type = 'text';
+  input.autocomplete = 'off';
+  input.placeholder = 'Search name or agent number';
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('aria-controls', listboxId);
+
+  const listbox = document.createElement('ul');
+  listbox.id = listboxId;
+  listbox.className = 'dealer-combobox-listbox';
+  listbox.setAttribute('role', 'listbox');
+  listbox.setAttribute('aria-label', 'Distributors');
+  listbox.hidden = true;
+
+  const status = document.createElement('p');
+  status.className = 'dealer-combobox-status';
+  status.setAttribute('role', 'status');
+
+  element.append(input, listbox, status);
+
+  function findMatches(query) {
+    const recent = readRecent();
+    const rank = (entry) => {
+      const position = recent.indexOf(entry.agentId);
+      return position === -1 ? MAX_RECENT : position;
+    };
+    const found = query
+      ? entries.filter((entry) => entry.name.includes(query) || entry.number.includes(query))
+      : entries;
+    // stable sort keeps the original order after the recent dealers
+    return [...found].sort((a, b) => rank(a) - rank(b));
+  }
+
+  function setActive(index) {
+    listbox.querySelector('[aria-selected="true"]')?.setAttribute('aria-selected', 'false');
+    activeIndex = index;
+    if (index < 0) {
+      input.removeAttribute('aria-activedescendant');
+      return;
+    }
+    const option = listbox.children[index];
+    option.setAttribute('aria-selected', 'true');
+    input.setAttribute('aria-activedescendant', option.id);
+    option.scrollIntoView({ block: 'nearest' });
+  }
+
+  function renderOptions() {
+    const recent = readRecent();
+    const visible = matches.slice(0, MAX_RESULTS);
+    listbox.replaceChildren(...visible.map((entry) => {
+      const option = document.createElement('li');
+      option.id = entry.optionId;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-selected', 'false');
+      option.dataset.agentId = entry.agentId;
+      option.textContent = entry.label;
+      if (recent.includes(entry.agentId)) option.classList.add('recent');
+      return option;
+    }));
+
+    if (!matches.length) {
+      status.textContent = 'No matching distributors';
+    } else if (matches.length > MAX_RESULTS) {
+      status.textContent = `Showing ${MAX_RESULTS} of ${matches.length} distributors, keep typing to narrow the list`;
+    } else {
+      status.textContent = `${matches.length} distributor${matches.length === 1 ? '' : 's'} found`;
+    }
+  }
+
+  function open() {
+    matches = findMatches(normalize(input.value === selected?.label ? '' : input.value));
+    renderOptions();
+    listbox.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    setActive(-1);
+  }
+
+  function close() {
+    listbox.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    setActive(-1);
+  }
+
+  function showSelected() {
+    input.value = selected?.label || '';
+  }
+
+  function pick(entry) {
+    selected = entry;
+    showSelected();
+    close();
+    rememberRecent(entry.agentId);
+    onSelect?.(entry.dealer);
+  }
+
+  function move(offset) {
+    if (listbox.hidden) open();
+    const count = listbox.children.length;
+    if (!count) return;
+    let next = activeIndex + offset;
+    if (activeIndex < 0 && offset < 0) next = count - 1;
+    setActive(Math.max(0, Math.min(count - 1, next)));
+  }
+
+  input.addEventListener('input', open);
+  input.addEventListener('click', () => {
+    if (listbox.hidden) open();
+  });
+
+  input.addEventListener('keydown', (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        move(1);
+        break;
+      case 'ArrowUp':
+        move(-1);
+        break;
+      case 'PageDown':
+        move(PAGE_SIZE);
+        break;
+      case 'PageUp':
+        move(-PAGE_SIZE);
+        break;
+      case 'Enter':
+        if (listbox.hidden || activeIndex < 0) return;
+        pick(matches[activeIndex]);
+        break;
+      case 'Escape':
+        if (listbox.hidden) {
+          input.value = '';
+        } else {
+          close();
+          showSelected();
+        }
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  });
+
+  input.addEventListener('blur', () => {
+    close();
+    showSelected();
+  });
+
+  // mousedown keeps the focus in the input, so blur does not close the list first
+  listbox.addEventListener('mousedown', (e) => e.preventDefault());
+  listbox.addEventListener('click', (e) => {
+    const option = e.target.closest('[role="option"]');
+    if (option) pick(entries.find((entry) => entry.agentId === option.dataset.agentId));
+  });
+
+  return {
+    element,
+    setSelected(agentId) {
+      selected = entries.find((entry) => entry.agentId === String(agentId ?? '')) || null;
+      showSelected();
+    },
+  };
+}
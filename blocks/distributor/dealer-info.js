@@ -0,0 +1,80 @@
+/**
+ * Dealer info
+ *
+ * Loads the signed-in user's dealers (/bin/dealerinfo.json) together with the
+ * business-hours.json sheet, and keeps the last response per user in
+ * localStorage so the distributor bar renders straight away on the next page
+ * while a fresh copy is fetched (stale-while-revalidate). The cache is
+ * dropped on logout.
+ */
+import { authFetch } from '../../scripts/auth-fetch.js';
+import { forgeRockConfig } from '../../scripts/config.js';
+
+const CACHE_PREFIX = 'cil-dealers:';
+// a response younger than this is used without asking the server again
+const FRESH_MS = 5 * 60 * 1000;
+// a response older than this is not shown at all
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fetches the user's dealers and the business hours.
+ * @returns {Promise<{dealerInfo: Object, businessHours: Object}>} both responses
+ * @throws {Error} if either request fails
+ */
+export async function fetchDealerInfo() {
+  const config = await forgeRockConfig();
+  const [dealerResponse, hoursResponse] = await Promise.all([
+    authFetch(`${config.app.environment}/bin/dealerinfo.json`, {
+      headers: { Accept: 'application/json' },
+    }),
+    fetch(`${window.hlx.codeBasePath}/business-hours.json`),
+  ]);
+  if (!dealerResponse.ok) throw new Error(`Failed to fetch dealer info: ${dealerResponse.status}`);
+  if (!hoursResponse.ok) throw new Error(`Failed to fetch business hours: ${hoursResponse.status}`);
+  return {
+    dealerInfo: await dealerResponse.json(),
+    businessHours: await hoursResponse.json(),
+  };
+}
+
+/**
+ * Returns the user's cached dealer info, if any.
+ * @param {string} userId the user's `sub`
+ * @returns {{dealerInfo: Object, businessHours: Object, savedAt: number,
+ *     fresh: boolean}|null} cached responses, fresh if they need no revalidation
+ */
+export function readCachedDealerInfo(userId) {
+  if (!userId) return null;
+  let entry;
+  try {
+    entry = JSON.parse(localStorage.getItem(`${CACHE_PREFIX}${userId}`));
+  } catch (e) {
+    return null;
+  }
+  const age = Date.now() - (entry?.savedAt || 0);
+  if (!entry?.dealerInfo || age > MAX_AGE_MS) return null;
+  return { ...entry, fresh: age < FRESH_MS };
+}
+
+/**
+ * Caches the user's dealer info.
+ * @param {string} userId the user's `sub`
+ * @param {{dealerInfo: Object, businessHours: Object}} info result of fetchDealerInfo()
+ */
+export function writeCachedDealerInfo(userId, { dealerInfo, businessHours }) {
+  if (!userId) return;
+  try {
+    localStorage.setItem(`${CACHE_PREFIX}${userId}`, JSON.stringify({ dealerInfo, businessHours, savedAt: Date.now() }));
+  } catch (e) {
+    // storage full or unavailable, the next page fetches again
+  }
+}
+
+/**
+ * Drops the cached dealer info of every user, e.g. on logout.
+ */
+export function clearDealerInfoCache() {
+  Object.keys(localStorage)
+    .filter((key) => key.startsWith(CACHE_PREFIX))
+    .forEach((key) => localStorage.removeItem(key));
+}
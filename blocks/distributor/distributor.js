@@ -1,162 +1,270 @@
-import { isAuthor } from '../../scripts/aem.js';
-import { getAccessToken } from '../../scripts/oauth.js';
-import { forgeRockConfig } from '../../scripts/config.js';
-
-  export default async function decorate(block) {
-    if (!(window.location.origin.includes('localhost') || isAuthor)) {
-    function formatPhoneNumber(num) {
-      const str = String(num || '');
-      return str.length >= 4 ? `${str.slice(0, 4)} ${str.slice(4, 7)} ${str.slice(7)}` : str;
-    }
+import { isAuthEnabled } from '../../scripts/config.js';
+import { getUserProfile } from '../../scripts/oauth.js';
+import { getPageAccessRules, PAGE_ACCESS } from '../../scripts/page-access.js';
+import { AGENT_CHANGE_EVENT, getActiveAgent, setActiveAgent } from '../../scripts/agent-context.js';
+import { html, render } from '../../scripts/html.js';
+import createDealerCombobox from './dealer-combobox.js';
+import {
+  formatWeeklyHours, parseBusinessHours, updateOpeningStatus, watchOpeningStatus,
+} from './business-hours.js';
+import { fetchDealerInfo, readCachedDealerInfo, writeCachedDealerInfo } from './dealer-info.js';
 
-    try {
-      const config = await forgeRockConfig();
-      const accessToken = await getAccessToken();
-      const response = await fetch(`${config.app.environment}/bin/dealerinfo.json`, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Accept': 'application/json'
-        }
-      });
-
-      if (!response.ok) throw new Error('Failed to fetch dealer info');
-      const dealerResponse = await response.json();
-
-      const dealers = dealerResponse.dealers || [];
-      const userInfo = dealerResponse.user || {};
-
-      const responseBusiness = await fetch(`${window.hlx.codeBasePath}/business-hours.json`);
-      const businessResponse = await responseBusiness.json();
-      const businessData = businessResponse.data?.[0] || {};
-
-      // --- Clear block content ---
-      block.innerHTML = '';
-
-      const dealerDiv = document.createElement('div');
-      dealerDiv.classList.add('dealer-details');
-      block.appendChild(dealerDiv);
-
-      function createCallWrapper(selectedDealer) {
-        const dealerRepsContactNumber = selectedDealer.bdm_phone || '';
-        const customerContactNumber = businessData['Customer Contact Number'] || '';
-        const businessHours = businessData['Business Hours'] || '';
-        const businessHoursbr = businessHours.replace(/,\s*/g, '<br>');
-
-        const callWrapper = document.createElement('div');
-        callWrapper.classList.add('call-wrapper');
-        callWrapper.innerHTML = `
-        <p><strong>Your BDM:</strong> ${selectedDealer.bdm_name || '-'}</p>
-        <div class="call-icon-details-wrapper">
-          <img
-            class="call-icon"
-            src="${window.hlx.codeBasePath}/icons/call.svg"
-            alt="Call Icon"
-          />
-          <div class="call-details">
-            <p><strong>Dealer Reps only: ${formatPhoneNumber(dealerRepsContactNumber)}</strong></p>
-            <p>Customers: ${formatPhoneNumber(customerContactNumber)}</p>
-            <p class="opening-time">${businessHoursbr}</p>
-          </div>
-        </div>
-      `;
-
-        // Toggle details visibility
-        const callIcon = callWrapper.querySelector('.call-icon');
-        const callDetails = callWrapper.querySelector('.call-details');
-
-        if (callIcon && callDetails) {
-          callIcon.addEventListener('click', (event) => {
-            event.stopPropagation();
-            callIcon.classList.toggle('icon-border');
-            callDetails.classList.toggle('expanded');
-          });
-
-          document.addEventListener('click', (event) => {
-            if (!callIcon.contains(event.target) && !callDetails.contains(event.target)) {
-              callIcon.classList.remove('icon-border');
-              callDetails.classList.remove('expanded');
-            }
-          });
-          callDetails.addEventListener('click', (event) => event.stopPropagation());
-        }
-
-        return callWrapper;
-      }
+// waits before retrying a failed load on its own, after that the user retries
+const RETRY_DELAYS = [2000, 5000, 15000];
 
-      // --- Render dealer row ---
-      function renderDealerRow(selectedDealer, isDropdown = false, dropdownEl = null) {
-        dealerDiv.innerHTML = ''; // clear
+function formatPhoneNumber(num) {
+  const str = String(num || '');
+  return str.length >= 4 ? `${str.slice(0, 4)} ${str.slice(4, 7)} ${str.slice(7)}` : str;
+}
 
-        const left = document.createElement('div');
-        left.classList.add('dealer-left');
+// --- Placeholder until the dealer info is in ---
+function renderSkeleton(block) {
+  block.setAttribute('aria-busy', 'true');
+  render(block, html`
+    <div class="dealer-details dealer-skeleton" aria-hidden="true">
+      <span class="skeleton-line"></span>
+      <span class="skeleton-line"></span>
+      <span class="skeleton-circle"></span>
+    </div>
+  `);
+}
 
-        if (isDropdown) {
-          const label = document.createElement('label');
-          label.setAttribute('for', 'dealerSelect');
-          label.textContent = 'CIL Distributor: ';
-          left.appendChild(label);
-          left.appendChild(dropdownEl);
-        } else {
-          left.innerHTML = `<p><strong>CIL Distributor:</strong> ${selectedDealer.distributor_name}</p>`;
-        }
+/**
+ * Builds the BDM and phone details with their toggle.
+ * @param {Object} selectedDealer dealer shown in the row
+ * @param {Object} businessHours parsed business hours
+ * @param {AbortSignal} signal removes the document listener when the block is rendered again
+ * @returns {HTMLElement} the call wrapper
+ */
+function createCallWrapper(selectedDealer, businessHours, signal) {
+  const dealerRepsContactNumber = selectedDealer.bdm_phone || '';
+  const { customerContactNumber } = businessHours;
+  // structured hours if the sheet has them, else the free-text summary;
+  // .opening-time keeps the line breaks
+  const openingTime = businessHours.hasSchedule
+    ? formatWeeklyHours(businessHours).join('\n')
+    : businessHours.summary.replace(/,\s*/g, '\n');
 
-        const center = document.createElement('p');
-        center.classList.add('agent-number');
-        center.innerHTML = `<strong>Agent number:</strong> ${selectedDealer.agent_id || '-'}`;
+  const callWrapper = document.createElement('div');
+  callWrapper.classList.add('call-wrapper');
+  render(callWrapper, html`
+    <p><strong>Your BDM:</strong> ${selectedDealer.bdm_name || '-'}</p>
+    <div class="call-icon-details-wrapper">
+      <img
+        class="call-icon"
+        src="${window.hlx.codeBasePath}/icons/call.svg"
+        alt="Call Icon"
+      />
+      <div class="call-details">
+        <p><strong>Dealer Reps only: ${formatPhoneNumber(dealerRepsContactNumber)}</strong></p>
+        <p>Customers: ${formatPhoneNumber(customerContactNumber)}</p>
+        ${businessHours.hasSchedule && html`<p class="opening-status" aria-live="polite"></p>`}
+        <p class="opening-time">${openingTime}</p>
+      </div>
+    </div>
+  `);
 
-        const right = createCallWrapper(selectedDealer);
+  // Toggle details visibility
+  const callIcon = callWrapper.querySelector('.call-icon');
+  const callDetails = callWrapper.querySelector('.call-details');
 
-        dealerDiv.appendChild(left);
-        dealerDiv.appendChild(center);
-        dealerDiv.appendChild(right);
-      }
+  if (callIcon && callDetails) {
+    callIcon.addEventListener('click', (event) => {
+      event.stopPropagation();
+      callIcon.classList.toggle('icon-border');
+      callDetails.classList.toggle('expanded');
+    });
 
-      // --- Handle single dealer ---
-      if (dealers.length === 1) {
-        renderDealerRow(dealers[0]);
-        return;
+    document.addEventListener('click', (event) => {
+      if (!callIcon.contains(event.target) && !callDetails.contains(event.target)) {
+        callIcon.classList.remove('icon-border');
+        callDetails.classList.remove('expanded');
       }
+    }, { signal });
+    callDetails.addEventListener('click', (event) => event.stopPropagation());
+  }
+
+  return callWrapper;
+}
+
+/**
+ * Renders the distributor, agent number and call details of a dealer.
+ * @param {HTMLElement} dealerDiv row container
+ * @param {Object} selectedDealer dealer to show
+ * @param {Object} businessHours parsed business hours
+ * @param {AbortSignal} signal aborted when the block is rendered again
+ * @param {HTMLElement} [dropdownEl] dealer picker shown instead of the distributor name
+ */
+function renderDealerRow(dealerDiv, selectedDealer, businessHours, signal, dropdownEl = null) {
+  dealerDiv.replaceChildren(); // clear
+
+  const left = document.createElement('div');
+  left.classList.add('dealer-left');
+
+  if (dropdownEl) {
+    const label = document.createElement('label');
+    label.setAttribute('for', 'dealerSelect');
+    label.textContent = 'CIL Distributor: ';
+    left.appendChild(label);
+    left.appendChild(dropdownEl);
+  } else {
+    render(left, html`<p><strong>CIL Distributor:</strong> ${selectedDealer.distributor_name}</p>`);
+  }
+
+  const center = document.createElement('p');
+  center.classList.add('agent-number');
+  render(center, html`<strong>Agent number:</strong> ${selectedDealer.agent_id || '-'}`);
+
+  const right = createCallWrapper(selectedDealer, businessHours, signal);
+
+  dealerDiv.appendChild(left);
+  dealerDiv.appendChild(center);
+  dealerDiv.appendChild(right);
+  updateOpeningStatus(dealerDiv, businessHours);
+}
+
+/**
+ * Renders the dealers, with a picker when the user has several.
+ * @param {HTMLElement} block distributor block
+ * @param {{dealerInfo: Object, businessHours: Object}} info dealer and business-hours responses
+ * @param {AbortSignal} signal aborted when the block is rendered again
+ */
+function renderDistributor(block, { dealerInfo, businessHours: businessResponse }, signal) {
+  block.removeAttribute('aria-busy');
+
+  const dealers = dealerInfo.dealers || [];
+  const businessHours = parseBusinessHours(businessResponse);
+
+  // --- Clear block content ---
+  block.replaceChildren();
+
+  const dealerDiv = document.createElement('div');
+  dealerDiv.classList.add('dealer-details');
+  block.appendChild(dealerDiv);
+
+  // Keep "Open now" / "Closed" current while the page stays open
+  if (businessHours.hasSchedule) {
+    watchOpeningStatus(dealerDiv, businessHours);
+  }
+
+  // --- Handle single dealer ---
+  if (dealers.length === 1) {
+    setActiveAgent(dealers[0]);
+    renderDealerRow(dealerDiv, dealers[0], businessHours, signal);
+    return;
+  }
+
+  // --- Multiple dealers: searchable picker ---
+  const picker = createDealerCombobox(dealers, {
+    id: 'dealerSelect',
+    onSelect: (dealer) => setActiveAgent(dealer),
+  });
+
+  // Show the dealer chosen earlier in this session, else a placeholder
+  const showActiveAgent = () => {
+    const activeId = getActiveAgent()?.agent_id;
+    const activeDealer = dealers.find((d) => String(d.agent_id) === activeId);
+    // re-rendering detaches the picker, so hand the focus back afterwards
+    const hadFocus = picker.element.contains(document.activeElement);
+    picker.setSelected(activeDealer?.agent_id);
+    renderDealerRow(dealerDiv, activeDealer || {
+      distributor_name: '',
+      agent_id: '',
+      bdm_name: '',
+      bdm_phone: '',
+    }, businessHours, signal, picker.element);
+    if (hadFocus) picker.element.querySelector('input').focus();
+  };
+  showActiveAgent();
+
+  // Re-render for a selection made here or in another tab
+  document.addEventListener(AGENT_CHANGE_EVENT, showActiveAgent, { signal });
+}
+
+/**
+ * Renders the load error with a button to retry at once.
+ * @param {HTMLElement} block distributor block
+ * @param {boolean} autoRetry whether another attempt is already scheduled
+ * @param {Function} onRetry called when the user retries
+ */
+function renderLoadError(block, autoRetry, onRetry) {
+  block.removeAttribute('aria-busy');
+  render(block, html`
+    <div class="distributor-error" role="alert">
+      <p>Failed to load distributor details.${autoRetry && ' Retrying shortly…'}</p>
+      <button type="button" class="button secondary">Retry now</button>
+    </div>
+  `);
+  block.querySelector('button').addEventListener('click', onRetry);
+  if (!autoRetry) {
+    block.querySelector('button').textContent = 'Retry';
+  }
+}
+
+export default async function decorate(block) {
+  // dealer details are per user: public pages keep the authored, anonymous
+  // content rather than sending visitors to sign in
+  const isPublicPage = getPageAccessRules().access === PAGE_ACCESS.PUBLIC;
+  if (!isAuthEnabled() || isPublicPage) return;
+
+  // Listeners of the current rendering, dropped when the block is rendered again
+  let rendering = new AbortController();
+  const show = (info) => {
+    rendering.abort();
+    rendering = new AbortController();
+    renderDistributor(block, info, rendering.signal);
+  };
+
+  renderSkeleton(block);
+  let userId;
+  try {
+    userId = (await getUserProfile())?.sub;
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn('Distributor: user profile unavailable, not using the cache', error);
+  }
 
-      // --- Multiple dealers: Dropdown ---
-      const dropdown = document.createElement('select');
-      dropdown.id = 'dealerSelect';
-      dropdown.innerHTML = `<option value="">-- Select Distributor --</option>`;
-
-      dealers.forEach((dealer) => {
-        const option = document.createElement('option');
-        option.value = dealer.agent_id;
-        option.textContent = dealer.distributor_name;
-        dropdown.appendChild(option);
-      });
-
-      // Initial placeholder
-      renderDealerRow({
-        distributor_name: '',
-        agent_id: '',
-        bdm_name: '',
-        bdm_phone: ''
-      }, true, dropdown);
-
-      // Handle selection
-      dropdown.addEventListener('change', (event) => {
-        const selectedId = event.target.value;
-        const selectedDealer = dealers.find((d) => d.agent_id === selectedId);
-        if (!selectedDealer) return;
-        renderDealerRow(selectedDealer, true, dropdown);
-      });
+  // Stale-while-revalidate: show the cached dealers at once, then refresh them
+  const cached = readCachedDealerInfo(userId);
+  let shown = null;
+  if (cached) {
+    show(cached);
+    shown = JSON.stringify([cached.dealerInfo, cached.businessHours]);
+    if (cached.fresh) return;
+  }
 
+  // --- Load with retry, automatic at first ---
+  let retryTimer;
+  const load = async (attempt) => {
+    if (!shown && !block.querySelector('.dealer-skeleton')) renderSkeleton(block);
+    try {
+      const info = await fetchDealerInfo();
+      writeCachedDealerInfo(userId, info);
+      const latest = JSON.stringify([info.dealerInfo, info.businessHours]);
+      if (latest !== shown) {
+        show(info);
+        shown = latest;
+      }
     } catch (error) {
+      // eslint-disable-next-line no-console
       console.error('Error loading dealer details:', error);
-      block.innerHTML = `<p style="color:red;">Failed to load distributor details.</p>`;
-    }
+      const autoRetry = attempt < RETRY_DELAYS.length;
+      if (!shown) {
+        renderLoadError(block, autoRetry, () => {
+          clearTimeout(retryTimer);
+          load(0);
+        });
+      }
+      // with cached dealers on screen, keep showing them and try again later
+      if (autoRetry) {
+        retryTimer = setTimeout(() => load(attempt + 1), RETRY_DELAYS[attempt]);
+      }
     }
-  }
+  };
+  await load(0);
+}
 
-  window.addEventListener('DOMContentLoaded', () => {
-    const block = document.querySelector('.distributor.block');
-    if (block) {
-      decorate(block);
-    } else {
-      console.warn('Distributor block not found!');
-    }
-  });
+window.addEventListener('DOMContentLoaded', () => {
+  const block = document.querySelector('.distributor.block');
+  if (block) decorate(block);
+});
@@ -0,0 +1,48 @@
+/**
+ * Active agent binding
+ *
+ * Ties every submitted quote to the dealer selected on the site (see
+ * scripts/agent-context.js). Fields named after the agent properties
+ * (agent_id, distributor_name, bdm_name, bdm_phone) are filled with the
+ * active agent and kept up to date when it changes; agent_id and
+ * distributor_name are added as hidden fields when the form has none.
+ * Adaptive forms submit their model rather than the DOM, so they need the
+ * fields defined (e.g. as hidden fields) to carry the agent.
+ */
+import { AGENT_CHANGE_EVENT, AGENT_FIELDS, getActiveAgent } from '../../scripts/agent-context.js';
+
+// always sent with a submission, even if the form does not define them
+const REQUIRED_AGENT_FIELDS = ['agent_id', 'distributor_name'];
+
+function applyAgent(form, agent) {
+  AGENT_FIELDS.forEach((name) => {
+    const value = agent?.[name] ?? '';
+    const fields = [...form.elements].filter((fe) => fe.name === name);
+    if (!fields.length) {
+      if (REQUIRED_AGENT_FIELDS.includes(name)) {
+        form.append(Object.assign(document.createElement('input'), { type: 'hidden', name, value }));
+      }
+      return;
+    }
+    fields.forEach((fe) => {
+      if (fe.value === value) return;
+      fe.value = value;
+      // lets the rule engine pick up the new value
+      fe.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  });
+}
+
+/**
+ * Fills the form's agent fields with the active agent and follows later changes.
+ * Call once the form's rule engine (if any) is loaded.
+ * @param {HTMLFormElement} form
+ */
+export default function bindActiveAgent(form) {
+  applyAgent(form, getActiveAgent());
+  document.addEventListener(AGENT_CHANGE_EVENT, ({ detail }) => {
+    if (form.isConnected) {
+      applyAgent(form, detail);
+    }
+  });
+}
@@ -3,6 +3,18 @@ import { fileAttachmentText, dragDropText, defaultErrorMessages } from '../../co
 
 const fileSizeRegex = /^(\d*\.?\d+)(\\?(?=[KMGT])([KMGT])(?:i?B)?|B?)$/i;
 
+// files attached to each file input; dropped and pasted files never reach input.files
+const attachedFiles = new WeakMap();
+
+/**
+ * returns the files attached to a file input, including dropped and pasted ones
+ * @param {HTMLInputElement} input
+ * @returns {File[]}
+ */
+export function getAttachedFiles(input) {
+  return attachedFiles.get(input) || Array.from(input.files || []);
+}
+
 /**
  * converts a string of the form "10MB" to bytes. If the string is malformed 0 is returned
  * @param {*} str
@@ -221,6 +233,7 @@ export default async function decorate(fieldDiv, field, htmlForm) {
   const allFiles = [];
   const dragArea = createDragAndDropArea(fieldDiv, field);
   const input = fieldDiv.querySelector('input');
+  attachedFiles.set(input, allFiles);
   fieldDiv.classList.add('decorated');
   const fileListElement = document.createElement('div');
   fileListElement.classList.add('files-list');
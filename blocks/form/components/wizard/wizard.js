@@ -79,6 +79,35 @@ export class WizardLayout {
     }
   }
 
+  /**
+   * Shows the step at the given index, e.g. when a saved quote is reopened.
+   * @param {HTMLElement} panel the wizard
+   * @param {number} index index of the step
+   * @returns {boolean} false if there is no such visible step
+   */
+  // eslint-disable-next-line class-methods-use-this
+  showStep(panel, index) {
+    const current = panel.querySelector('.current-wizard-step');
+    const step = panel.querySelector(`:scope > fieldset[data-index="${index}"]`);
+    if (!step || step.dataset.visible === 'false') {
+      return false;
+    }
+    if (step !== current) {
+      current?.classList.remove('current-wizard-step');
+      step.classList.add('current-wizard-step');
+      panel.querySelector('.wizard-menu-active-item')?.classList.remove('wizard-menu-active-item');
+      panel.querySelector(`li[data-index="${index}"]`)?.classList.add('wizard-menu-active-item');
+      panel.dispatchEvent(new CustomEvent('wizard:navigate', {
+        detail: {
+          prevStep: { id: current?.id, index: Number(current?.dataset.index) },
+          currStep: { id: step.id, index: +step.dataset.index },
+        },
+        bubbles: false,
+      }));
+    }
+    return true;
+  }
+
   static handleMutation(panel, mutationsList) {
     mutationsList.forEach((mutation) => {
       const { type, target, attributeName } = mutation;
@@ -189,3 +218,4 @@ export default function wizardLayout(panel) {
 
 export const navigate = layout.navigate.bind(layout);
 export const validateContainer = layout.validateContainer.bind(layout);
+export const showStep = layout.showStep.bind(layout);
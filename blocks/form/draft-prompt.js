@@ -0,0 +1,40 @@
+/**
+ * Draft prompt
+ *
+ * Asks the user whether to carry on with a saved quote or start again,
+ * shown in place of the form until they choose.
+ */
+import { html, render } from '../../scripts/html.js';
+
+/**
+ * Shows the prompt before an element and waits for the user's choice.
+ * @param {HTMLElement} anchor element the prompt is shown before, e.g. the form's container
+ * @param {{savedAt: number}} draft the saved draft
+ * @returns {Promise<boolean>} true to resume the draft, false to start again
+ */
+export default function askToResumeDraft(anchor, draft) {
+  const prompt = document.createElement('div');
+  prompt.className = 'form-draft-prompt';
+  prompt.setAttribute('role', 'region');
+  prompt.setAttribute('aria-label', 'Saved quote');
+  const savedAt = new Date(draft.savedAt).toLocaleString('en-AU', {
+    weekday: 'long', day: 'numeric', month: 'long', hour: 'numeric', minute: '2-digit',
+  });
+  render(prompt, html`
+    <p>You have a quote in progress, saved ${savedAt}.</p>
+    <div class="form-draft-prompt-actions">
+      <button type="button" class="button primary" data-resume="true">Resume your saved quote</button>
+      <button type="button" class="button secondary" data-resume="false">Start again</button>
+    </div>
+  `);
+  anchor.before(prompt);
+
+  return new Promise((resolve) => {
+    prompt.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-resume]');
+      if (!button) return;
+      prompt.remove();
+      resolve(button.dataset.resume === 'true');
+    });
+  });
+}
@@ -0,0 +1,208 @@
+/**
+ * Server-side draft storage
+ *
+ * Quotes saved with "Save for later" are kept on the server so they can be
+ * finished on another machine. Storage goes through an adapter with this shape:
+ *
+ *   save(formId, draft, draftId?) => Promise<string>   stores {data, step}, returns the draft id
+ *   load(formId, draftId)         => Promise<{data, step}|null>
+ *   remove(formId, draftId)       => Promise<void>
+ *
+ * The REST adapter talks to the drafts service set as `draftsEndpoint` in the
+ * site configuration; the HTTP contract it expects is described in the README.
+ * The in-memory adapter follows the same contract without a server: tests use
+ * it and, on localhost, it is picked when `cil-drafts:storage` is set to
+ * `memory` in localStorage. Another adapter can be plugged in with setDraftStorage().
+ */
+import { authFetch } from '../../scripts/auth-fetch.js';
+import { forgeRockConfig, isLocalhost } from '../../scripts/config.js';
+
+/**
+ * localStorage flag that selects the in-memory adapter on localhost
+ */
+const LOCAL_STORAGE_KEY = 'cil-drafts:storage';
+
+/**
+ * HTTP methods the REST adapter uses unless told otherwise
+ */
+const DEFAULT_METHODS = {
+  create: 'POST',
+  update: 'PUT',
+  load: 'GET',
+  remove: 'DELETE',
+};
+
+/**
+ * Query parameter of a resume link holding the draft id
+ */
+export const DRAFT_ID_PARAM = 'draftId';
+
+/**
+ * Query parameter of a resume link holding the wizard step to reopen
+ */
+export const DRAFT_STEP_PARAM = 'step';
+
+function draftUrl(endpoint, formId, draftId) {
+  const url = `${endpoint.replace(/\/$/, '')}/${encodeURIComponent(formId)}`;
+  return draftId ? `${url}/${encodeURIComponent(draftId)}` : url;
+}
+
+/**
+ * Creates the adapter that stores drafts through the drafts service.
+ * A new draft is created at `{endpoint}/{formId}`, which answers `{draftId}`;
+ * it is then read, updated and deleted at `{endpoint}/{formId}/{draftId}`.
+ * Drafts travel as `{data, step}` both ways.
+ * @param {Object} [options]
+ * @param {string} [options.endpoint] base URL of the service, by default the
+ * `draftsEndpoint` of the site configuration
+ * @param {{create: string, update: string, load: string, remove: string}} [options.methods]
+ * HTTP methods to use instead of POST, PUT, GET and DELETE
+ * @returns {Object} draft storage adapter
+ */
+export function createRestDraftStorage({ endpoint, methods } = {}) {
+  const verbs = { ...DEFAULT_METHODS, ...methods };
+
+  async function request(method, formId, draftId, body) {
+    const base = endpoint || (await forgeRockConfig())?.app.draftsEndpoint;
+    if (!base) {
+      throw new Error('No drafts endpoint is configured');
+    }
+    return authFetch(draftUrl(base, formId, draftId), {
+      method,
+      headers: body
+        ? { 'Content-Type': 'application/json', Accept: 'application/json' }
+        : { Accept: 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+  }
+
+  return {
+    async save(formId, { data, step }, draftId) {
+      const response = await request(
+        draftId ? verbs.update : verbs.create,
+        formId,
+        draftId,
+        { data, step },
+      );
+      if (!response.ok) {
+        throw new Error(`Saving the draft failed: ${response.status}`);
+      }
+      if (draftId) {
+        return draftId;
+      }
+      const json = await response.json().catch(() => ({}));
+      if (!json.draftId) {
+        throw new Error('The drafts service did not return a draft id');
+      }
+      return String(json.draftId);
+    },
+
+    async load(formId, draftId) {
+      const response = await request(verbs.load, formId, draftId);
+      if (response.status === 404) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Loading the draft failed: ${response.status}`);
+      }
+      const { data, step } = await response.json();
+      return { data: data || {}, step };
+    },
+
+    async remove(formId, draftId) {
+      const response = await request(verbs.remove, formId, draftId);
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`Deleting the draft failed: ${response.status}`);
+      }
+    },
+  };
+}
+
+/**
+ * Creates an adapter that keeps drafts in memory, for tests and local development.
+ * Drafts last until the page is left. Unknown drafts load as null and removing
+ * them is a no-op, like the REST adapter.
+ * @returns {Object} draft storage adapter
+ */
+export function createMemoryDraftStorage() {
+  const drafts = new Map();
+  let nextId = 1;
+  return {
+    async save(formId, { data, step }, draftId) {
+      const id = draftId || `draft-${nextId}`;
+      if (!draftId) nextId += 1;
+      drafts.set(`${formId}:${id}`, structuredClone({ data, step }));
+      return id;
+    },
+    async load(formId, draftId) {
+      const draft = drafts.get(`${formId}:${draftId}`);
+      return draft ? structuredClone(draft) : null;
+    },
+    async remove(formId, draftId) {
+      drafts.delete(`${formId}:${draftId}`);
+    },
+  };
+}
+
+/**
+ * Identifies a form for the draft storage: its AF id, else its path.
+ * @param {HTMLFormElement} form
+ * @returns {string}
+ */
+export function getDraftFormId(form) {
+  const { id, action } = form.dataset;
+  return id && id !== 'undefined' ? id : action;
+}
+
+let storage;
+
+/**
+ * Replaces the draft storage adapter.
+ * @param {Object} adapter object with save(), load() and remove()
+ */
+export function setDraftStorage(adapter) {
+  storage = adapter;
+}
+
+/**
+ * Returns the draft storage adapter in use.
+ * @returns {Object} draft storage adapter
+ */
+export function getDraftStorage() {
+  if (!storage) {
+    const useMemory = isLocalhost()
+      && localStorage.getItem(LOCAL_STORAGE_KEY) === 'memory';
+    storage = useMemory ? createMemoryDraftStorage() : createRestDraftStorage();
+  }
+  return storage;
+}
+
+/**
+ * Builds the link that reopens a saved draft at a wizard step.
+ * @param {string} draftId
+ * @param {number} [step] index of the wizard step
+ * @returns {string} absolute URL of the current page with the draft parameters
+ */
+export function getResumeLink(draftId, step) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(DRAFT_ID_PARAM, draftId);
+  if (step > 0) {
+    url.searchParams.set(DRAFT_STEP_PARAM, step);
+  } else {
+    url.searchParams.delete(DRAFT_STEP_PARAM);
+  }
+  url.hash = '';
+  return url.href;
+}
+
+/**
+ * Reads the draft parameters of the current page's URL.
+ * @returns {{draftId: string, step: number|undefined}|null} null if the page is no resume link
+ */
+export function getResumeParams() {
+  const params = new URLSearchParams(window.location.search);
+  const draftId = params.get(DRAFT_ID_PARAM);
+  if (!draftId) return null;
+  const step = Number.parseInt(params.get(DRAFT_STEP_PARAM), 10);
+  return { draftId, step: Number.isNaN(step) ? undefined : step };
+}
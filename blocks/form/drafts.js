@@ -0,0 +1,224 @@
+/**
+ * Quote drafts
+ *
+ * Keeps a copy of a form's current values so work in progress survives a
+ * reload, a closed tab or a forced logout. Drafts are saved automatically
+ * while the user edits and are keyed by the form's path and the signed-in
+ * user; they live in IndexedDB, or in localStorage where IndexedDB is not
+ * available. A draft is dropped once the form is submitted or reset, and
+ * all drafts are dropped when the user logs out.
+ */
+import { isAuthEnabled } from '../../scripts/config.js';
+import { getUserProfile } from '../../scripts/oauth.js';
+import { getPageAccessRules, PAGE_ACCESS } from '../../scripts/page-access.js';
+import { getDraftFormId, getDraftStorage } from './draft-storage.js';
+import openStore from './idb.js';
+import { getFormValues } from './util.js';
+
+const DRAFT_KEY_PREFIX = 'form-draft:';
+const DB_NAME = 'cil-drafts';
+const STORE_NAME = 'drafts';
+// drafts older than this are not offered any more
+const DRAFT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// wait for a pause in typing before saving
+const AUTOSAVE_DELAY_MS = 1000;
+
+// forms whose draft was discarded, so a pending autosave does not bring it back
+const discarded = new WeakSet();
+
+const localStore = {
+  async get(key) {
+    return JSON.parse(localStorage.getItem(`${DRAFT_KEY_PREFIX}${key}`));
+  },
+  async put(record) {
+    localStorage.setItem(`${DRAFT_KEY_PREFIX}${record.key}`, JSON.stringify(record));
+  },
+  async delete(key) {
+    localStorage.removeItem(`${DRAFT_KEY_PREFIX}${key}`);
+  },
+  async clear() {
+    Object.keys(localStorage)
+      .filter((key) => key.startsWith(DRAFT_KEY_PREFIX))
+      .forEach((key) => localStorage.removeItem(key));
+  },
+};
+
+let storePromise;
+
+/**
+ * Returns the draft store, IndexedDB if it opens, else localStorage.
+ * @returns {Promise<{get: Function, put: Function, delete: Function, clear: Function}>}
+ */
+function getStore() {
+  if (!storePromise) {
+    storePromise = openStore(DB_NAME, STORE_NAME, { keyPath: 'key' }).catch((e) => {
+      // eslint-disable-next-line no-console
+      console.warn('Saving form drafts in localStorage', e);
+      return localStore;
+    });
+  }
+  return storePromise;
+}
+
+let ownerPromise;
+
+/**
+ * Identifies whose drafts and queued submissions these are: the signed-in
+ * user, or `anonymous` where the page is viewed without signing in. Looked
+ * up once per page, so drafts can still be saved while the user is being
+ * logged out.
+ * Rejects if the signed-in user cannot be identified: their data must not be
+ * saved or read under another owner.
+ * @returns {Promise<string>}
+ */
+export function getStorageOwner() {
+  if (!ownerPromise) {
+    ownerPromise = (async () => {
+      if (!isAuthEnabled() || getPageAccessRules().access === PAGE_ACCESS.PUBLIC) {
+        return 'anonymous';
+      }
+      const sub = (await getUserProfile())?.sub;
+      if (!sub) {
+        throw new Error('The signed-in user is unknown');
+      }
+      return sub;
+    })();
+    // look the user up again next time rather than keeping the failure
+    ownerPromise.catch(() => {
+      ownerPromise = null;
+    });
+  }
+  return ownerPromise;
+}
+
+async function getDraftKey(formPath) {
+  return `${await getStorageOwner()}:${formPath || window.location.pathname}`;
+}
+
+/**
+ * Removes every saved draft, e.g. when the user logs out.
+ * @returns {Promise<void>}
+ */
+export async function clearDrafts() {
+  try {
+    await localStore.clear();
+    const store = await getStore();
+    if (store !== localStore) {
+      await store.clear();
+    }
+  } catch (e) {
+    // storage unavailable, nothing to clear
+  }
+}
+
+/**
+ * Saves the form's current values as the signed-in user's draft.
+ * @param {HTMLFormElement} form
+ * @param {Object} [data] values to save, by default those of getFormValues()
+ * @returns {Promise<void>}
+ */
+export async function saveDraft(form, data = getFormValues(form)) {
+  if (discarded.has(form)) return;
+  try {
+    const store = await getStore();
+    await store.put({
+      key: await getDraftKey(form.dataset.action),
+      savedAt: Date.now(),
+      data,
+    });
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('Unable to save form draft', e);
+  }
+}
+
+/**
+ * Returns the signed-in user's draft of a form, if there is a recent one.
+ * @param {string} formPath the form's action, as in form.dataset.action
+ * @returns {Promise<{data: Object, savedAt: number}|null>}
+ */
+export async function loadDraft(formPath) {
+  try {
+    const store = await getStore();
+    const key = await getDraftKey(formPath);
+    const draft = await store.get(key);
+    if (!draft) return null;
+    if (Date.now() - draft.savedAt > DRAFT_TTL_MS) {
+      await store.delete(key);
+      return null;
+    }
+    return { data: draft.data, savedAt: draft.savedAt };
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('Unable to read form draft', e);
+    return null;
+  }
+}
+
+/**
+ * Removes the signed-in user's draft of a form.
+ * @param {string} formPath the form's action, as in form.dataset.action
+ * @returns {Promise<void>}
+ */
+export async function deleteDraft(formPath) {
+  try {
+    const store = await getStore();
+    await store.delete(await getDraftKey(formPath));
+  } catch (e) {
+    // storage unavailable, nothing to delete
+  }
+}
+
+/**
+ * Drops the draft of a form that was submitted or reset, and stops saving it
+ * until the user edits the form again. A draft saved for later on the server
+ * is removed as well.
+ * @param {HTMLFormElement} form
+ * @returns {Promise<void>}
+ */
+export async function discardDraft(form) {
+  discarded.add(form);
+  const { draftId } = form.dataset;
+  if (draftId) {
+    delete form.dataset.draftId;
+    getDraftStorage().remove(getDraftFormId(form), draftId).catch((e) => {
+      // eslint-disable-next-line no-console
+      console.warn('Unable to remove the saved quote', e);
+    });
+  }
+  await deleteDraft(form.dataset.action);
+}
+
+/**
+ * Saves the form as a draft whenever the user changes it, once they pause, and
+ * right away when the page is hidden. Changes made by scripts (prefill, rules)
+ * do not start a draft.
+ * @param {HTMLFormElement} form
+ * @param {Object} [options]
+ * @param {Function} [options.getData] returns the values to save, by default getFormValues()
+ * @param {AbortSignal} [options.signal] stops the autosave, e.g. once the form is replaced
+ */
+export function autosaveDraft(form, { getData = () => getFormValues(form), signal } = {}) {
+  let timer;
+  let dirty = false;
+  const save = () => {
+    clearTimeout(timer);
+    if (!dirty || !form.isConnected) return;
+    dirty = false;
+    saveDraft(form, getData());
+  };
+  const schedule = (event) => {
+    if (!event.isTrusted) return;
+    // new work on a form whose draft was discarded, e.g. one cleared after queueing
+    discarded.delete(form);
+    dirty = true;
+    clearTimeout(timer);
+    timer = setTimeout(save, AUTOSAVE_DELAY_MS);
+  };
+  form.addEventListener('input', schedule, { signal });
+  form.addEventListener('change', schedule, { signal });
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') save();
+  }, { signal });
+  signal?.addEventListener('abort', () => clearTimeout(timer));
+}
@@ -8,6 +8,8 @@ import {
   stripTags,
   checkValidation,
   toClassName,
+  getFormValues,
+  setFormValues,
 } from './util.js';
 import GoogleReCaptcha from './integrations/recaptcha.js';
 import componentDecorator from './mappings.js';
@@ -17,11 +19,26 @@ import transferRepeatableDOM, {
   insertRemoveButton,
 } from './components/repeat/repeat.js';
 import { handleSubmit } from './submit.js';
+import {
+  autosaveDraft,
+  deleteDraft,
+  discardDraft,
+  loadDraft,
+  saveDraft,
+} from './drafts.js';
+import askToResumeDraft from './draft-prompt.js';
+import { getDraftStorage, getResumeParams } from './draft-storage.js';
+import { SAVE_FOR_LATER_EVENT, saveForLater, showSavedStep } from './save-for-later.js';
+import { hasPendingStepUp, resumeStepUpSubmission } from './step-up.js';
+import { showQueueStatus, startSubmissionQueue } from './submission-queue.js';
+import bindActiveAgent from './active-agent.js';
 import { getSubmitBaseUrl, emailPattern } from './constant.js';
 
 export const DELAY_MS = 0;
 let captchaField;
 let afModule;
+// resolves once a form's rule engine (if any) is loaded
+const formReady = new WeakMap();
 
 const withFieldWrapper = (element) => (fd) => {
   const wrapper = createFieldWrapper(fd);
@@ -362,6 +379,22 @@ function otherHelpText(field, element) {
   }
 }
 
+function stepUpDecorator(field, element) {
+  const { stepUpMaxAge, stepUpAcrValues } = field.properties || {};
+  const button = element?.querySelector('button');
+  if (button && (stepUpMaxAge !== undefined || stepUpAcrValues !== undefined)) {
+    if (stepUpMaxAge !== undefined) button.dataset.stepUpMaxAge = stepUpMaxAge;
+    if (stepUpAcrValues !== undefined) button.dataset.stepUpAcrValues = stepUpAcrValues;
+  }
+}
+
+function saveForLaterDecorator(field, element) {
+  const button = element?.querySelector('button');
+  if (button && field.properties?.saveForLater) {
+    button.dataset.saveForLater = 'true';
+  }
+}
+
 const handleFocus = (input, field) => {
   const editValue = input.getAttribute('edit-value');
   input.type = field.type;
@@ -369,6 +402,10 @@ const handleFocus = (input, field) => {
 };
 
 const handleFocusOut = (input) => {
+  // keep what was typed, the rule engine (if any) updates it again on change
+  if (input.type === input.dataset.editType) {
+    input.setAttribute('edit-value', input.value);
+  }
   const displayValue = input.getAttribute('display-value');
   input.type = 'text';
   input.value = displayValue;
@@ -394,6 +431,8 @@ function inputDecorator(field, element) {
       (field.displayFormat || field.displayValueExpression)
     ) {
       field.type = fieldType;
+      // shown as text with the display value; the value and its type are kept aside
+      input.dataset.editType = fieldType;
       input.setAttribute('edit-value', field.value ?? '');
       input.setAttribute('display-value', field.displayValue ?? '');
       input.type = 'text';
@@ -483,6 +522,8 @@ export async function generateFormRendition(
       dobCalcDecorator(field, element);
       dateOfOwnership(field, element);
       yearOfManufactureDecorator(field, element);
+      stepUpDecorator(field, element);
+      saveForLaterDecorator(field, element);
       if (field?.fieldType === 'panel') {
         await generateFormRendition(field, element, getItems);
         return element;
@@ -545,19 +586,45 @@ export async function createForm(formDef, data) {
   enableValidation(form);
   transferRepeatableDOM(form);
 
+  let ready = Promise.resolve();
+  if (!afModule && data) {
+    // without a rule engine the prefill goes straight into the fields
+    setFormValues(form, data);
+  }
   if (afModule) {
-    window.setTimeout(async () => {
-      afModule.loadRuleEngine(
-        formDef,
-        form,
-        captcha,
-        generateFormRendition,
-        data,
-      );
-    }, DELAY_MS);
+    ready = new Promise((resolve) => {
+      window.setTimeout(async () => {
+        await afModule.loadRuleEngine(
+          formDef,
+          form,
+          captcha,
+          generateFormRendition,
+          data,
+        );
+        resolve();
+      }, DELAY_MS);
+    });
   }
+  formReady.set(form, ready);
+  ready.then(() => bindActiveAgent(form));
+
+  // drafts hold the rule engine's data where there is one, so they can be prefilled
+  const getDraftData = () => afModule?.exportFormData(form) || getFormValues(form);
+  // removes this form's document listeners once a reset has replaced it
+  const replaced = new AbortController();
+  autosaveDraft(form, { getData: getDraftData, signal: replaced.signal });
+
+  // "Save for later" keeps the quote on the server, see save-for-later.js
+  form.addEventListener('click', (e) => {
+    if (e.target.closest('[data-save-for-later]')) {
+      saveForLater(form, getDraftData());
+    }
+  });
+  form.addEventListener(SAVE_FOR_LATER_EVENT, () => saveForLater(form, getDraftData()));
 
   form.addEventListener('reset', async () => {
+    discardDraft(form);
+    replaced.abort();
     const newForm = await createForm(formDef);
     document
       .querySelector(`[data-action="${formDef.action}"]`)
@@ -568,6 +635,13 @@ export async function createForm(formDef, data) {
     handleSubmit(e, form, captcha);
   });
 
+  // keep the quote in progress when the session is about to be ended
+  document.addEventListener('session:beforelogout', (e) => {
+    if (form.isConnected) {
+      e.detail.waitUntil(saveDraft(form, getDraftData()));
+    }
+  }, { signal: replaced.signal });
+
   return form;
 }
 
@@ -1167,39 +1241,93 @@ export default async function decorate(block) {
     ({ container, formDef } = extractFormDefinition(block));
   }
   let source = 'aem';
-  let rules = true;
-  let form;
   if (formDef) {
     formDef.action = getSubmitBaseUrl() + (formDef.action || '');
     if (isDocumentBasedForm(formDef)) {
       const transform = new DocBasedFormToAF();
       formDef = transform.transform(formDef);
       source = 'sheet';
-      form = await createForm(formDef);
-      const docRuleEngine = await import('./rules-doc/index.js');
-      docRuleEngine.default(formDef, form);
-      rules = false;
-    } else {
-      afModule = await import('./rules/index.js');
-      if (
-        afModule &&
-        afModule.initAdaptiveForm &&
-        !block.classList.contains('edit-mode')
-      ) {
-        form = await afModule.initAdaptiveForm(formDef, createForm);
+    }
+    const formPath = formDef.action || pathname?.split('.json')[0];
+    const editMode = block.classList.contains('edit-mode');
+
+    // builds the form, prefilled with draftData if given
+    const renderForm = async (draftData) => {
+      let rules = true;
+      let form;
+      if (source === 'sheet') {
+        form = await createForm(formDef, draftData);
+        const docRuleEngine = await import('./rules-doc/index.js');
+        docRuleEngine.default(formDef, form);
+        rules = false;
       } else {
-        form = await createFormForAuthoring(formDef);
+        afModule = await import('./rules/index.js');
+        if (afModule && afModule.initAdaptiveForm && !editMode) {
+          form = await afModule.initAdaptiveForm(formDef, createForm, draftData);
+        } else {
+          form = await createFormForAuthoring(formDef);
+        }
+      }
+      form.dataset.redirectUrl = formDef.redirectUrl || '';
+      form.dataset.thankYouMsg = formDef.thankYouMsg || '';
+      form.dataset.action = formPath;
+      form.dataset.source = source;
+      form.dataset.rules = rules;
+      form.dataset.id = formDef.id;
+      if (source === 'aem' && formDef.properties) {
+        form.dataset.formpath = formDef.properties['fd:path'];
+      }
+      container.replaceWith(form);
+      if (source === 'sheet' && !editMode) {
+        // submissions made while offline are sent from here once back online
+        showQueueStatus(form);
+        startSubmissionQueue();
+      }
+      // finish a submission that was waiting for the user to sign in again
+      formReady.get(form)?.then(() => resumeStepUpSubmission(form));
+      return form;
+    };
+
+    // a resume link reopens a quote saved for later
+    const resume = !editMode && getResumeParams();
+    if (resume) {
+      let saved = null;
+      try {
+        saved = await getDraftStorage().load(formDef.id || formPath, resume.draftId);
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.warn('Unable to load the saved quote', e);
+      }
+      if (saved) {
+        const form = await renderForm(saved.data);
+        form.dataset.draftId = resume.draftId;
+        formReady.get(form)?.then(() => showSavedStep(form, resume.step ?? saved.step));
+        return;
       }
     }
-    form.dataset.redirectUrl = formDef.redirectUrl || '';
-    form.dataset.thankYouMsg = formDef.thankYouMsg || '';
-    form.dataset.action = formDef.action || pathname?.split('.json')[0];
-    form.dataset.source = source;
-    form.dataset.rules = rules;
-    form.dataset.id = formDef.id;
-    if (source === 'aem' && formDef.properties) {
-      form.dataset.formpath = formDef.properties['fd:path'];
+
+    // offer the user's saved quote, unless a submission is about to be resumed
+    const draft = !editMode && !hasPendingStepUp(formPath) ? await loadDraft(formPath) : null;
+    if (draft) {
+      // the form is built once the user has chosen, without holding up the page
+      askToResumeDraft(container, draft)
+        .then(async (resumeDraft) => {
+          if (!resumeDraft) {
+            await deleteDraft(formPath);
+          }
+          await renderForm(resumeDraft ? draft.data : undefined);
+        })
+        .catch((e) => {
+          // eslint-disable-next-line no-console
+          console.warn('Unable to restore the saved quote, showing an empty form', e);
+          return container.isConnected ? renderForm() : undefined;
+        })
+        .catch((e) => {
+          // eslint-disable-next-line no-console
+          console.error('Unable to render the form', e);
+        });
+    } else {
+      await renderForm();
     }
-    container.replaceWith(form);
   }
 }
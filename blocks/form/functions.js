@@ -1,3 +1,9 @@
+import { ensureRecentAuthentication, isRecentlyAuthenticated } from './step-up.js';
+import { SAVE_FOR_LATER_EVENT } from './save-for-later.js';
+
+// how recent a sign-in requireRecentAuthentication accepts when the rule gives no age
+const DEFAULT_MAX_AUTH_AGE_SECONDS = 300;
+
 /**
  * Get Full Name
  * @name getFullName Concats first name and last name
@@ -28,5 +34,47 @@ function days(endDate, startDate) {
   return Math.floor(diffInMs / (1000 * 60 * 60 * 24));
 }
 
-// eslint-disable-next-line import/prefer-default-export
-export { getFullName, days };
+/**
+ * Require recent authentication
+ * @name requireRecentAuthentication Checks that the user signed in recently enough,
+ * e.g. before submitting a quote that binds cover. If not, the form is kept, the user
+ * signs in again and the submission is resumed when they return.
+ * @param {number} maxAge maximum time since the user signed in, in seconds (optional,
+ * 5 minutes by default)
+ * @param {string} acrValues accepted authentication contexts, space separated (optional)
+ * @param {scope} globals An object containing read-only form instance,
+ * read-only target field instance and methods for form modifications.
+ * @return {boolean} true if the user may go ahead
+ */
+function requireRecentAuthentication(maxAge, acrValues, globals) {
+  const seconds = Number.parseInt(maxAge, 10);
+  const requirements = {
+    maxAge: Number.isNaN(seconds) ? DEFAULT_MAX_AUTH_AGE_SECONDS : seconds,
+    acrValues: String(acrValues || '').split(/[\s,]+/).filter(Boolean),
+  };
+  if (isRecentlyAuthenticated(requirements)) {
+    return true;
+  }
+  const form = document.querySelector(`form[data-id="${globals.form.$id}"]`);
+  const submitter = globals.field?.$id && document.getElementById(globals.field.$id);
+  if (form) {
+    ensureRecentAuthentication(form, requirements, submitter);
+  }
+  return false;
+}
+
+/**
+ * Save for later
+ * @name saveForLater Saves the quote on the server and shows the user a link to
+ * resume it later, on any computer, at the current wizard step.
+ * @param {scope} globals An object containing read-only form instance,
+ * read-only target field instance and methods for form modifications.
+ */
+function saveForLater(globals) {
+  const form = document.querySelector(`form[data-id="${globals.form.$id}"]`);
+  form?.dispatchEvent(new CustomEvent(SAVE_FOR_LATER_EVENT));
+}
+
+export {
+  getFullName, days, requireRecentAuthentication, saveForLater,
+};
@@ -0,0 +1,48 @@
+/**
+ * IndexedDB store
+ *
+ * Promise wrapper around a single IndexedDB object store, shared by the
+ * form's drafts and its submission queue.
+ */
+
+function runTransaction(db, storeName, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Opens (creating it if needed) an object store in its own database.
+ * @param {string} dbName name of the database
+ * @param {string} storeName name of the object store
+ * @param {IDBObjectStoreParameters} options key options of the store
+ * @returns {Promise<{get: Function, getAll: Function, put: Function, delete: Function,
+ *     clear: Function}>} the store's operations, each returning a promise
+ * @throws {Error} if IndexedDB is not available or the database cannot be opened
+ */
+export default function openStore(dbName, storeName, options) {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName, options);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB is blocked'));
+  }).then((db) => {
+    const run = (mode, operation) => runTransaction(db, storeName, mode, operation);
+    return {
+      get: (key) => run('readonly', (store) => store.get(key)),
+      getAll: () => run('readonly', (store) => store.getAll()),
+      put: (record) => run('readwrite', (store) => store.put(record)),
+      delete: (key) => run('readwrite', (store) => store.delete(key)),
+      clear: () => run('readwrite', (store) => store.clear()),
+    };
+  });
+}
@@ -24,6 +24,8 @@ import {
 import registerCustomFunctions from './functionRegistration.js';
 import { externalize } from './functions.js';
 import initializeRuleEngineWorker from './worker.js';
+import { authFetch } from '../../../scripts/auth-fetch.js';
+import { ensureRecentAuthentication, getStepUpRequirements } from '../step-up.js';
 
 const formModel = {};
 
@@ -280,6 +282,10 @@ function applyRuleEngine(htmlForm, form, captcha) {
   htmlForm.addEventListener('click', async (e) => {
     if (e.target.tagName === 'BUTTON') {
       const element = form.getElement(e.target.id);
+      if (e.target.type === 'submit'
+        && !await ensureRecentAuthentication(htmlForm, getStepUpRequirements(e.target), e.target)) {
+        return;
+      }
       if (e.target.type === 'submit' && captcha) {
         const token = await captcha.getToken();
         form.getElement(captcha.id).value = token;
@@ -318,11 +324,20 @@ export async function loadRuleEngine(formDef, htmlForm, captcha, genFormRenditio
   applyRuleEngine(htmlForm, form, captcha);
 }
 
+/**
+ * Returns the data of the form's rule engine, e.g. to save it as a draft.
+ * @param {HTMLFormElement} htmlForm
+ * @returns {Object|undefined} form data, undefined if the rule engine is not loaded
+ */
+export function exportFormData(htmlForm) {
+  return formModel[htmlForm.dataset?.id]?.exportData();
+}
+
 async function fetchData({ id }) {
   try {
     const { search = '' } = window.location;
     const url = externalize(`/adobe/forms/af/data/${id}${search}`);
-    const response = await fetch(url);
+    const response = await authFetch(url);
     const json = await response.json();
     const { data: prefillData } = json;
     const { data: { afData: { afBoundData: { data = {} } = {} } = {} } = {} } = json;
@@ -332,8 +347,16 @@ async function fetchData({ id }) {
   }
 }
 
-export async function initAdaptiveForm(formDef, createForm) {
-  const data = await fetchData(formDef);
+/**
+ * Creates the adaptive form, prefilled with the user's saved draft if given,
+ * else with the data of the prefill service.
+ * @param {Object} formDef form definition
+ * @param {Function} createForm renders the form from its state
+ * @param {Object} [draftData] data of a saved draft, see drafts.js
+ * @returns {Promise<HTMLFormElement>}
+ */
+export async function initAdaptiveForm(formDef, createForm, draftData) {
+  const data = draftData || await fetchData(formDef);
   await registerCustomFunctions();
   const form = await initializeRuleEngineWorker({
     ...formDef,
@@ -0,0 +1,94 @@
+/**
+ * Save for later
+ *
+ * Stores the quote in progress on the server (see draft-storage.js) and gives
+ * the user a resume link that reopens it, on any machine, at the wizard step
+ * they were on. A button opts in with the `saveForLater` property; rules can
+ * use the saveForLater() custom function instead.
+ */
+import { html, render } from '../../scripts/html.js';
+import { showStep } from './components/wizard/wizard.js';
+import { getDraftFormId, getDraftStorage, getResumeLink } from './draft-storage.js';
+
+/**
+ * Event dispatched on a form to save it for later
+ */
+export const SAVE_FOR_LATER_EVENT = 'form:saveforlater';
+
+function getWizard(form) {
+  return form.querySelector('.wizard');
+}
+
+/**
+ * Returns the index of the wizard step the user is on.
+ * @param {HTMLFormElement} form
+ * @returns {number|undefined} undefined if the form is no wizard
+ */
+export function getCurrentStep(form) {
+  const index = getWizard(form)?.querySelector(':scope > .current-wizard-step')?.dataset.index;
+  return index === undefined ? undefined : Number(index);
+}
+
+/**
+ * Reopens the wizard step a draft was saved on.
+ * @param {HTMLFormElement} form
+ * @param {number} [step] index of the step
+ */
+export function showSavedStep(form, step) {
+  const wizard = getWizard(form);
+  if (wizard && step > 0) {
+    showStep(wizard, step);
+  }
+}
+
+function showMessage(form, type, template) {
+  form.parentNode.querySelector('.form-message.save-for-later-message')?.remove();
+  const message = document.createElement('div');
+  message.className = `form-message ${type}-message save-for-later-message`;
+  message.setAttribute('role', 'status');
+  render(message, template);
+  form.parentNode.insertBefore(message, form);
+  message.scrollIntoView?.({ behavior: 'smooth' });
+  return message;
+}
+
+/**
+ * Saves the form on the server and shows the link to resume it.
+ * Saving again updates the same draft.
+ * @param {HTMLFormElement} form
+ * @param {Object} data values to save
+ * @returns {Promise<string|null>} the resume link, null if saving failed
+ */
+export async function saveForLater(form, data) {
+  const step = getCurrentStep(form);
+  let draftId;
+  try {
+    draftId = await getDraftStorage()
+      .save(getDraftFormId(form), { data, step }, form.dataset.draftId);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error('Unable to save the quote for later', e);
+    showMessage(form, 'error', html`<p>Your quote could not be saved. Please try again.</p>`);
+    return null;
+  }
+
+  form.dataset.draftId = draftId;
+  const link = getResumeLink(draftId, step);
+  // a reload continues with the saved draft
+  window.history.replaceState(window.history.state, '', link);
+
+  const message = showMessage(form, 'success', html`
+    <p>Your quote is saved. Use this link to finish it later, on any computer:</p>
+    <p><a href="${link}">${link}</a></p>
+    ${navigator.clipboard && html`<button type="button" class="button secondary">Copy link</button>`}
+  `);
+  message.querySelector('button')?.addEventListener('click', async (event) => {
+    try {
+      await navigator.clipboard.writeText(link);
+      event.target.textContent = 'Link copied';
+    } catch (e) {
+      event.target.textContent = 'Copy failed, select the link instead';
+    }
+  });
+  return link;
+}
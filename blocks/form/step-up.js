@@ -0,0 +1,114 @@
+/**
+ * Step-up authentication for form submissions
+ *
+ * Forms that bind cover can require the user to have signed in recently. A
+ * submit button opts in with the `stepUpMaxAge` (seconds) and `stepUpAcrValues`
+ * properties; rules can ask for the same with the requireRecentAuthentication()
+ * custom function.
+ *
+ * If the login is too old, the form's values are kept in sessionStorage, the
+ * user authenticates again at the IdP and, back on the page, the values are
+ * restored and the submission resumed.
+ */
+import { isAuthEnabled } from '../../scripts/config.js';
+import { hasRecentAuthentication, requestStepUp } from '../../scripts/oauth.js';
+import { getFormValues, setFormValues } from './util.js';
+
+const PENDING_KEY = 'form-step-up:pending';
+
+// a submission not resumed within this time is dropped, e.g. when the user gave up
+const PENDING_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Reads the step-up requirements of a submit button.
+ * @param {HTMLElement} [button]
+ * @returns {{maxAge: number, acrValues: string[]}|null} requirements, null if none
+ */
+export function getStepUpRequirements(button) {
+  const { stepUpMaxAge, stepUpAcrValues } = button?.dataset || {};
+  if (stepUpMaxAge === undefined && stepUpAcrValues === undefined) {
+    return null;
+  }
+  return {
+    maxAge: stepUpMaxAge === undefined ? undefined : Number(stepUpMaxAge),
+    acrValues: (stepUpAcrValues || '').split(/[\s,]+/).filter(Boolean),
+  };
+}
+
+/**
+ * Whether the user's login meets the requirements, so no step-up is needed.
+ * @param {{maxAge: number, acrValues: string[]}|null} requirements
+ * @returns {boolean}
+ */
+export function isRecentlyAuthenticated(requirements) {
+  return !requirements || !isAuthEnabled() || hasRecentAuthentication(requirements);
+}
+
+/**
+ * Makes sure the user authenticated recently enough to submit the form.
+ * If not, the form's values are kept and the user is sent to authenticate again.
+ * @param {HTMLFormElement} form
+ * @param {{maxAge: number, acrValues: string[]}|null} requirements
+ * @param {HTMLElement} [submitter] button that submitted the form
+ * @returns {Promise<boolean>} true to go ahead, false if the browser is off to the IdP
+ */
+export async function ensureRecentAuthentication(form, requirements, submitter) {
+  if (isRecentlyAuthenticated(requirements)) {
+    return true;
+  }
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify({
+    action: form.dataset.action,
+    path: window.location.pathname,
+    submitterId: submitter?.id,
+    requirements,
+    data: getFormValues(form),
+    savedAt: Date.now(),
+  }));
+  await requestStepUp(requirements);
+  return false;
+}
+
+function readPendingSubmission(formPath) {
+  let pending;
+  try {
+    pending = JSON.parse(sessionStorage.getItem(PENDING_KEY));
+  } catch (e) {
+    pending = null;
+  }
+  return pending?.action === formPath && pending.path === window.location.pathname
+    ? pending : null;
+}
+
+/**
+ * Whether a submission of a form is waiting to be resumed after step-up authentication.
+ * @param {string} formPath the form's action, as in form.dataset.action
+ * @returns {boolean}
+ */
+export function hasPendingStepUp(formPath) {
+  return readPendingSubmission(formPath) !== null;
+}
+
+/**
+ * Resumes a submission interrupted by step-up authentication, if this form has one.
+ * Call once the form is in the page and its rule engine is loaded.
+ * @param {HTMLFormElement} form
+ */
+export function resumeStepUpSubmission(form) {
+  const pending = readPendingSubmission(form.dataset.action);
+  if (!pending) {
+    return;
+  }
+  sessionStorage.removeItem(PENDING_KEY);
+  if (Date.now() - pending.savedAt > PENDING_TTL_MS) {
+    return;
+  }
+
+  setFormValues(form, pending.data);
+  if (!isRecentlyAuthenticated(pending.requirements)) {
+    // the user came back without authenticating again, let them decide what to do
+    return;
+  }
+  const submitter = (pending.submitterId && form.querySelector(`#${CSS.escape(pending.submitterId)}`))
+    || form.querySelector('button[type="submit"]');
+  submitter?.click();
+}
@@ -0,0 +1,268 @@
+/**
+ * Submission queue
+ *
+ * Keeps submissions that failed on the network in IndexedDB and sends them
+ * once the browser is back online, retrying with exponential backoff. The
+ * queue survives reloads and closed tabs and is worked through by the next
+ * page with a form. Submissions are queued per user and only sent while that
+ * user is signed in; tabs take turns (Web Locks) so nothing is sent twice.
+ *
+ * Sending needs the user's bearer token, which only lives in the page, so the
+ * queue is sent from the page rather than from a service worker.
+ */
+import { authFetch } from '../../scripts/auth-fetch.js';
+import { html, render } from '../../scripts/html.js';
+import { publish, subscribe } from '../../scripts/tab-sync.js';
+import { getStorageOwner } from './drafts.js';
+import openStore from './idb.js';
+
+const DB_NAME = 'cil-submissions';
+const STORE_NAME = 'queue';
+const LOCK_NAME = 'cil-submission-queue';
+// first retry after this long, doubling up to MAX_RETRY_DELAY_MS
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+/**
+ * Event dispatched on document when the queue changes
+ * event.detail.sent holds a submission that has just been sent, if any.
+ */
+export const QUEUE_CHANGE_EVENT = 'submissionqueue:change';
+
+let storePromise;
+let retryTimer;
+let started = false;
+
+function getStore() {
+  if (!storePromise) {
+    storePromise = openStore(DB_NAME, STORE_NAME, { keyPath: 'id' });
+  }
+  return storePromise;
+}
+
+function notifyChange(detail = {}, fromPeer = false) {
+  document.dispatchEvent(new CustomEvent(QUEUE_CHANGE_EVENT, { detail }));
+  if (!fromPeer) {
+    publish('submissionqueue:change', detail);
+  }
+}
+
+function withQueueLock(callback) {
+  return navigator.locks ? navigator.locks.request(LOCK_NAME, callback) : callback();
+}
+
+/**
+ * Whether a submission failed for lack of a network rather than being refused.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  return !navigator.onLine || error instanceof TypeError || error?.name === 'TimeoutError';
+}
+
+/**
+ * Lists the signed-in user's queued submissions, oldest first.
+ * @returns {Promise<Object[]>} queued submissions, empty if the queue is unavailable
+ */
+export async function getQueuedSubmissions() {
+  try {
+    const [store, owner] = await Promise.all([getStore(), getStorageOwner()]);
+    return (await store.getAll())
+      .filter((entry) => entry.owner === owner)
+      .sort((a, b) => a.queuedAt - b.queuedAt);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Removes a submission from the queue, e.g. one the server refused.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function removeQueuedSubmission(id) {
+  const store = await getStore();
+  await store.delete(id);
+  notifyChange();
+}
+
+/**
+ * Removes every queued submission, e.g. when the user logs out.
+ * @returns {Promise<void>}
+ */
+export async function clearSubmissionQueue() {
+  try {
+    const store = await getStore();
+    await store.clear();
+  } catch (e) {
+    // queue unavailable, nothing to clear
+  }
+}
+
+/**
+ * Whether a failed response is worth sending again later
+ * Server errors and rate limiting are temporary; any other refusal is final.
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isRetryable(response) {
+  return response.status >= 500 || response.status === 429;
+}
+
+async function sendQueued(store, entry) {
+  let response;
+  try {
+    response = await authFetch(entry.url, {
+      method: 'POST',
+      headers: entry.headers,
+      body: entry.body,
+    });
+  } catch (error) {
+    response = null;
+  }
+  if (response?.ok) {
+    await store.delete(entry.id);
+    notifyChange({ sent: entry });
+  } else if (response && !isRetryable(response)) {
+    // refused, sending it again will not help
+    await store.put({ ...entry, failed: true, status: response.status });
+    notifyChange();
+  } else {
+    // offline, unreachable or temporarily unavailable: back off and try again
+    const attempts = entry.attempts + 1;
+    const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    await store.put({
+      ...entry, attempts, nextAttemptAt: Date.now() + delay, status: response?.status,
+    });
+    notifyChange();
+  }
+}
+
+async function scheduleRetry() {
+  clearTimeout(retryTimer);
+  const pending = (await getQueuedSubmissions()).filter((entry) => !entry.failed);
+  if (!pending.length || !navigator.onLine) return;
+  const next = Math.min(...pending.map((entry) => entry.nextAttemptAt));
+  // eslint-disable-next-line no-use-before-define
+  retryTimer = setTimeout(sendQueue, Math.max(0, next - Date.now()));
+}
+
+/**
+ * Sends the queued submissions that are due, one after the other.
+ * @param {Object} [options]
+ * @param {boolean} [options.now] send every pending submission, ignoring the backoff
+ * @returns {Promise<void>}
+ */
+export async function sendQueue({ now = false } = {}) {
+  clearTimeout(retryTimer);
+  if (!navigator.onLine) return;
+  try {
+    await withQueueLock(async () => {
+      const store = await getStore();
+      // read inside the lock, another tab may have sent some already
+      const due = (await getQueuedSubmissions())
+        .filter((entry) => !entry.failed && (now || entry.nextAttemptAt <= Date.now()));
+      await due.reduce(
+        (previous, entry) => previous.then(() => sendQueued(store, entry)),
+        Promise.resolve(),
+      );
+    });
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('Unable to send queued submissions', e);
+  }
+  await scheduleRetry();
+}
+
+/**
+ * Queues a submission that could not be sent.
+ * @param {{url: string, headers: Object, body: string, label: string}} submission
+ *     request to replay, and a label to show the user
+ * @returns {Promise<void>}
+ * @throws {Error} if the queue is unavailable
+ */
+export async function enqueueSubmission({
+  url, headers, body, label,
+}) {
+  const store = await getStore();
+  const now = Date.now();
+  await store.put({
+    id: crypto.randomUUID ? crypto.randomUUID() : `${now}-${Math.random()}`,
+    owner: await getStorageOwner(),
+    url,
+    headers,
+    body,
+    label,
+    queuedAt: now,
+    attempts: 0,
+    nextAttemptAt: now + BASE_RETRY_DELAY_MS,
+  });
+  notifyChange();
+  await scheduleRetry();
+}
+
+/**
+ * Starts sending queued submissions: now, whenever the browser comes back
+ * online and when another tab queues one. Safe to call more than once.
+ */
+export function startSubmissionQueue() {
+  if (started) return;
+  started = true;
+  window.addEventListener('online', () => sendQueue({ now: true }));
+  subscribe('submissionqueue:change', (detail) => {
+    notifyChange(detail, true);
+    scheduleRetry();
+  });
+  sendQueue();
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit' });
+}
+
+async function renderQueueStatus(status, sent) {
+  const entries = await getQueuedSubmissions();
+  const pending = entries.filter((entry) => !entry.failed);
+  status.hidden = !entries.length && !sent;
+  render(status, html`
+    ${sent && html`<p class="submission-queue-sent">Your queued quote “${sent.label}” has been sent.</p>`}
+    ${pending.length > 0 && html`<p class="submission-queue-title">Queued – will send when online</p>`}
+    ${entries.length > 0 && html`
+      <ul class="submission-queue-list">
+        ${entries.map((entry) => html`
+          <li data-id="${entry.id}">
+            ${entry.label}, queued ${formatTime(entry.queuedAt)}
+            ${entry.failed && html`
+              <span class="submission-queue-failed">not accepted (${entry.status}), please submit it again</span>
+              <button type="button" class="button secondary">Remove</button>
+            `}
+          </li>
+        `)}
+      </ul>
+    `}
+  `);
+}
+
+/**
+ * Shows the user's queued submissions before an element and keeps the list current.
+ * @param {HTMLElement} anchor element the status is shown before, e.g. the form
+ */
+export function showQueueStatus(anchor) {
+  const status = document.createElement('div');
+  status.className = 'form-message submission-queue';
+  status.setAttribute('role', 'status');
+  status.hidden = true;
+  anchor.before(status);
+
+  status.addEventListener('click', (event) => {
+    const id = event.target.closest('button') && event.target.closest('li')?.dataset.id;
+    if (id) removeQueuedSubmission(id);
+  });
+  const update = (event) => {
+    if (status.isConnected) renderQueueStatus(status, event?.detail?.sent);
+  };
+  document.addEventListener(QUEUE_CHANGE_EVENT, update);
+  window.addEventListener('online', update);
+  window.addEventListener('offline', update);
+  update();
+}
@@ -1,9 +1,17 @@
 import { DEFAULT_THANK_YOU_MESSAGE } from './constant.js';
+import { clearFormValues, updateOrCreateInvalidMsg } from './util.js';
+import { getAttachedFiles } from './components/file/file.js';
+import { authFetch } from '../../scripts/auth-fetch.js';
+import { ensureRecentAuthentication, getStepUpRequirements } from './step-up.js';
+import { discardDraft } from './drafts.js';
+import { enqueueSubmission, isNetworkError } from './submission-queue.js';
 
 export function submitSuccess(e, form) {
   const { payload } = e;
   const redirectUrl = form.dataset.redirectUrl || payload?.body?.redirectUrl;
   const thankYouMsg = form.dataset.thankYouMsg || payload?.body?.thankYouMessage;
+  // the quote is in, its draft is no longer needed
+  discardDraft(form);
   if (redirectUrl) {
     window.location.assign(encodeURI(redirectUrl));
   } else {
@@ -17,7 +25,8 @@ export function submitSuccess(e, form) {
     if (thankYouMessage.scrollIntoView) {
       thankYouMessage.scrollIntoView({ behavior: 'smooth' });
     }
-    form.reset();
+    // a reset event would rebuild the form without its sheet settings
+    clearFormValues(form);
   }
   form.setAttribute('data-submitting', 'false');
   form.querySelector('button[type="submit"]').disabled = false;
@@ -40,67 +49,244 @@ function generateUnique() {
   return new Date().valueOf() + Math.random();
 }
 
-function getFieldValue(fe, payload) {
-  if (fe.type === 'radio') {
-    return fe.form.elements[fe.name].value;
-  } if (fe.type === 'checkbox') {
+// 'true' and 'false' option values are sent as booleans
+function coerceValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+// panels without a name of their own do not add a level to the payload
+function isNamedPanel(element) {
+  return element.tagName === 'FIELDSET' && element.classList.contains('panel-wrapper')
+    && Boolean(element.name) && element.name !== 'undefined';
+}
+
+// the named panel, or else the form, whose object a field's value goes into
+function getOwner(element, form) {
+  let panel = element.parentElement?.closest('fieldset.panel-wrapper');
+  while (panel && !isNamedPanel(panel)) {
+    panel = panel.parentElement?.closest('fieldset.panel-wrapper');
+  }
+  return panel && form.contains(panel) ? panel : form;
+}
+
+// a file field is sent as references to the multipart parts holding its files
+function getFileValue(fe, files) {
+  const references = getAttachedFiles(fe).map((file) => {
+    if (!(file instanceof File)) {
+      // prefilled, already on the server
+      return { name: file.name, data: file.data };
+    }
+    files.push({ part: fe.id, file });
+    return {
+      part: fe.id, name: file.name, size: file.size, type: file.type,
+    };
+  });
+  return fe.multiple ? references : references[0] ?? null;
+}
+
+function addFieldValue(payload, fe, files) {
+  const { name } = fe;
+  // a formatted field shows its display value as text unless focused,
+  // its value and type are in edit-value and data-edit-type (see form.js)
+  const formatted = fe.hasAttribute('edit-value') && Boolean(fe.dataset.editType);
+  const type = formatted ? fe.dataset.editType : fe.type;
+  const value = formatted && fe.type !== type ? fe.getAttribute('edit-value') : fe.value;
+  if (type === 'radio') {
     if (fe.checked) {
-      if (payload[fe.name]) {
-        return `${payload[fe.name]},${fe.value}`;
-      }
-      return fe.value;
+      payload[name] = coerceValue(value);
+    } else if (!(name in payload)) {
+      payload[name] = null;
     }
-  } else if (fe.type !== 'file') {
-    return fe.value;
+  } else if (type === 'checkbox' && fe.dataset.fieldType === 'checkbox-group') {
+    // every option has a name of its own, the group's fieldset holds the field's name
+    const groupName = fe.closest('fieldset')?.name || name;
+    payload[groupName] = payload[groupName] || [];
+    if (fe.checked) payload[groupName].push(coerceValue(value));
+  } else if (type === 'checkbox') {
+    if (value === 'on' || value === 'true') {
+      payload[name] = fe.checked;
+    } else {
+      payload[name] = coerceValue(fe.checked ? value : fe.dataset.uncheckedValue ?? null);
+    }
+  } else if (type === 'number' || type === 'range') {
+    payload[name] = value === '' ? null : Number(value);
+  } else if (fe.tagName === 'SELECT' && fe.multiple) {
+    payload[name] = [...fe.selectedOptions].map((option) => coerceValue(option.value));
+  } else if (fe.tagName === 'OUTPUT') {
+    payload[name] = fe.dataset.value;
+  } else if (type === 'file') {
+    payload[name] = getFileValue(fe, files);
+  } else {
+    payload[name] = value;
   }
-  return null;
-}
-
-function constructPayload(form) {
-  const payload = { __id__: generateUnique() };
-  [...form.elements].forEach((fe) => {
-    if (fe.name && !fe.matches('button') && !fe.disabled && fe.tagName !== 'FIELDSET') {
-      const value = getFieldValue(fe, payload);
-      if (fe.closest('.repeat-wrapper')) {
-        payload[fe.name] = payload[fe.name] ? `${payload[fe.name]},${fe.value}` : value;
-      } else {
-        payload[fe.name] = value;
+}
+
+/**
+ * Collects the values of a form, or of one of its panels, following the form's
+ * hierarchy: each named panel becomes an object, repeatable panels become arrays
+ * of objects, checkbox groups and multiple selects arrays of values, numbers and
+ * single checkboxes numbers and booleans. Attached files are added to files.
+ */
+function collectValues(container, form, files) {
+  const payload = {};
+  [...container.elements]
+    .filter((fe) => !fe.disabled && getOwner(fe, form) === container)
+    .forEach((fe) => {
+      if (isNamedPanel(fe)) {
+        const values = collectValues(fe, form, files);
+        if (fe.dataset.repeatable === 'true') {
+          payload[fe.name] = [...(payload[fe.name] || []), values];
+        } else {
+          payload[fe.name] = values;
+        }
+      } else if (fe.name && !fe.matches('button') && fe.tagName !== 'FIELDSET') {
+        addFieldValue(payload, fe, files);
       }
-    }
-  });
-  return { payload };
+    });
+  return payload;
+}
+
+/**
+ * Builds the payload of a form submission and lists the files to send with it.
+ * @param {HTMLFormElement} form
+ * @returns {{payload: Object, files: {part: string, file: File}[]}}
+ */
+export function constructPayload(form) {
+  const files = [];
+  const payload = { __id__: generateUnique(), ...collectValues(form, form, files) };
+  return { payload, files };
 }
 
 async function prepareRequest(form) {
-  const { payload } = constructPayload(form);
+  const { payload, files } = constructPayload(form);
   const headers = {
     'Content-Type': 'application/json',
   };
   const body = { data: payload };
   const url = form.dataset.submit || form.dataset.action;
-  return { headers, body, url };
+  return {
+    headers, body, url, files,
+  };
+}
+
+/**
+ * Builds a multipart body: the payload as JSON in the `data` part and every
+ * attached file in the part named by its field's reference.
+ */
+function toMultipartBody(body, files) {
+  const formData = new FormData();
+  formData.append('data', JSON.stringify(body.data));
+  files.forEach(({ part, file }) => formData.append(part, file, file.name));
+  return formData;
+}
+
+function findField(form, field) {
+  const element = form.querySelector(`#${CSS.escape(field)}`) || form.elements.namedItem(field);
+  const fe = element instanceof RadioNodeList ? element[0] : element;
+  return fe?.matches?.('input, select, textarea') ? fe : null;
+}
+
+function clearFieldError(fe) {
+  fe.setCustomValidity('');
+  updateOrCreateInvalidMsg(fe, '');
+}
+
+/**
+ * Shows the field errors of a refused submission against their fields. The
+ * server reports them as `{errors: [{field, message}]}`, where field is a
+ * field's name or the part of a file.
+ * @returns {Promise<boolean>} false if the response has no field errors
+ */
+async function showFieldErrors(form, response) {
+  const json = await response.clone().json().catch(() => null);
+  const errors = (Array.isArray(json?.errors) ? json.errors : [])
+    .map(({ field, message }) => [field && findField(form, String(field)), message])
+    .filter(([fe, message]) => fe && message);
+  if (!errors.length) return false;
+
+  errors.forEach(([fe, message]) => {
+    fe.setCustomValidity(message);
+    updateOrCreateInvalidMsg(fe, message);
+    // file fields are validated again by the file component when files change
+    if (fe.type !== 'file') {
+      fe.addEventListener('input', () => clearFieldError(fe), { once: true });
+      fe.addEventListener('change', () => clearFieldError(fe), { once: true });
+    }
+  });
+  const [[first]] = errors;
+  first.focus();
+  first.scrollIntoView({ behavior: 'smooth' });
+  form.setAttribute('data-submitting', 'false');
+  form.querySelector('button[type="submit"]').disabled = false;
+  return true;
+}
+
+/**
+ * Keeps a submission that could not reach the server in the submission queue,
+ * which sends it once the browser is back online.
+ * @returns {Promise<boolean>} false if the submission could not be queued
+ */
+async function queueSubmission(form, request) {
+  try {
+    await enqueueSubmission({ ...request, label: document.title });
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn('Unable to queue the submission', e);
+    return false;
+  }
+  discardDraft(form);
+  // a reset event would rebuild the form without its sheet settings
+  clearFormValues(form);
+  form.setAttribute('data-submitting', 'false');
+  form.querySelector('button[type="submit"]').disabled = false;
+  return true;
 }
 
 async function submitDocBasedForm(form, captcha) {
+  let request;
   try {
-    const { headers, body, url } = await prepareRequest(form, captcha);
+    const {
+      headers, body, url, files,
+    } = await prepareRequest(form, captcha);
     let token = null;
     if (captcha) {
       token = await captcha.getToken();
       body.data['g-recaptcha-response'] = token;
     }
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body),
-    });
+    let response;
+    if (files.length) {
+      // the browser sets the multipart content type and boundary
+      response = await authFetch(url, {
+        method: 'POST',
+        body: toMultipartBody(body, files),
+      });
+    } else {
+      // only JSON submissions can wait in the submission queue
+      request = { url, headers, body: JSON.stringify(body) };
+      // queue right away when offline: an expired token would otherwise send
+      // the browser to the login page and lose the submission
+      if (!navigator.onLine && !captcha && await queueSubmission(form, request)) {
+        return;
+      }
+      response = await authFetch(url, {
+        method: 'POST',
+        headers,
+        body: request.body,
+      });
+    }
     if (response.ok) {
       submitSuccess(response, form);
-    } else {
+    } else if (!await showFieldErrors(form, response)) {
       const error = await response.text();
       throw new Error(error);
     }
   } catch (error) {
+    // a reCAPTCHA token expires within minutes, so such forms are not queued
+    if (request && !captcha && isNetworkError(error) && await queueSubmission(form, request)) {
+      return;
+    }
     submitFailure(error, form);
   }
 }
@@ -117,7 +303,10 @@ export async function handleSubmit(e, form, captcha) {
       form.querySelectorAll('.form-message.show').forEach((el) => el.classList.remove('show'));
 
       if (form.dataset.source === 'sheet') {
-        await submitDocBasedForm(form, captcha);
+        const requirements = getStepUpRequirements(e.submitter);
+        if (await ensureRecentAuthentication(form, requirements, e.submitter)) {
+          await submitDocBasedForm(form, captcha);
+        }
       }
     }
   } else {
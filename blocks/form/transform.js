@@ -157,6 +157,7 @@ export default class DocBasedFormToAF {
     Label: 'label.value',
     Mandatory: 'required',
     Accept: 'accept',
+    'Max File Size': 'maxFileSize',
     Options: 'enum',
     OptionNames: 'enumNames',
     Visible: 'visible',
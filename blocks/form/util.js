@@ -293,3 +293,70 @@ export function checkValidation(fieldElement) {
   const message = getValidationMessage(fieldElement, wrapper);
   updateOrCreateInvalidMsg(fieldElement, message);
 }
+
+/**
+ * Collects the current values of a form keyed by field name.
+ * Fields that occur more than once (checkbox groups, repeatable panels) become arrays.
+ * @param {HTMLFormElement} form
+ * @returns {Object} field values
+ */
+export function getFormValues(form) {
+  const values = {};
+  [...form.elements].forEach((fe) => {
+    if (!fe.name || fe.matches('button') || fe.disabled || fe.tagName === 'FIELDSET'
+      || fe.type === 'file' || ((fe.type === 'radio' || fe.type === 'checkbox') && !fe.checked)) {
+      return;
+    }
+    if (fe.name in values) {
+      values[fe.name] = [].concat(values[fe.name], fe.value);
+    } else {
+      values[fe.name] = fe.value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Puts previously collected values back into a form, the reverse of getFormValues().
+ * A change event is dispatched for every field so the rule engine picks the values up.
+ * @param {HTMLFormElement} form
+ * @param {Object} values field values keyed by field name
+ */
+export function setFormValues(form, values) {
+  Object.entries(values).forEach(([name, value]) => {
+    const list = [].concat(value).map(String);
+    const fields = [...form.elements].filter((fe) => fe.name === name
+      && !fe.matches('button') && fe.type !== 'file');
+    fields.forEach((fe, index) => {
+      if (fe.type === 'radio' || fe.type === 'checkbox') {
+        fe.checked = list.includes(fe.value);
+      } else {
+        // repeated fields get their values back in document order
+        fe.value = list[index] ?? '';
+      }
+      fe.dispatchEvent(new Event('change', { bubbles: true }));
+    });
+  });
+}
+
+/**
+ * Puts every field of a form back to its initial value without a reset event,
+ * which would rebuild the form. A change event is dispatched for every field so
+ * the rule engine picks the values up.
+ * @param {HTMLFormElement} form
+ */
+export function clearFormValues(form) {
+  [...form.elements].forEach((fe) => {
+    if (!fe.name || fe.matches('button') || fe.tagName === 'FIELDSET' || fe.type === 'file') {
+      return;
+    }
+    if (fe.type === 'radio' || fe.type === 'checkbox') {
+      fe.checked = fe.defaultChecked;
+    } else if (fe.tagName === 'SELECT') {
+      [...fe.options].forEach((option) => { option.selected = option.defaultSelected; });
+    } else {
+      fe.value = fe.defaultValue;
+    }
+    fe.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+}
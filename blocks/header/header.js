@@ -1,4 +1,4 @@
-import { doLogout } from '../../scripts/session.js';
+import { doLogout, goToSignedOutPage } from '../../scripts/session.js';
 
 export default async function decorate(block) {
   const imgUrl = `${window.hlx.codeBasePath}/icons/cil-logo.svg`;
@@ -17,6 +17,6 @@ export default async function decorate(block) {
   document.getElementById('logout').addEventListener('click', async (e) => {
     e.preventDefault();
     await doLogout();
-    window.location.reload();
+    await goToSignedOutPage();
   });
 }
@@ -0,0 +1,96 @@
+/**
+ * Active Agent Context
+ *
+ * Holds the dealer (agent) the user is currently working for, so every block
+ * and form on the site uses the same one. The selection lives in
+ * sessionStorage for the rest of the browser session, is kept in step across
+ * tabs (see tab-sync.js) and is announced with AGENT_CHANGE_EVENT on document.
+ *
+ * The selection is dropped when the user signs out, or when the signed-in
+ * user's agent_ids no longer include it.
+ *
+ * @module agent-context
+ */
+
+import { PROFILE_CHANGE_EVENT } from './oauth.js';
+import { publish, subscribe } from './tab-sync.js';
+
+const STORAGE_KEY = 'cil-agent:active';
+
+/**
+ * Event dispatched on document when the active agent changes
+ * The new agent (or null) is passed as event.detail.
+ */
+export const AGENT_CHANGE_EVENT = 'agent:change';
+
+/**
+ * Fields of an agent, named as in the dealer info response and in form data
+ */
+export const AGENT_FIELDS = ['agent_id', 'distributor_name', 'bdm_name', 'bdm_phone'];
+
+/**
+ * Returns the active agent
+ *
+ * @returns {{agent_id: string, distributor_name: string, bdm_name: string,
+ *     bdm_phone: string}|null} Active agent, or null if none is selected
+ */
+export function getActiveAgent() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stores an agent and dispatches AGENT_CHANGE_EVENT if it changed
+ *
+ * @param {Object|null} agent - Agent to store, or null to clear it
+ * @returns {boolean} True if the active agent changed
+ */
+function storeAgent(agent) {
+  const value = agent
+    ? Object.fromEntries(AGENT_FIELDS.map((field) => [field, String(agent[field] ?? '')]))
+    : null;
+  const serialized = value ? JSON.stringify(value) : null;
+  if (serialized === sessionStorage.getItem(STORAGE_KEY)) return false;
+
+  if (serialized) {
+    sessionStorage.setItem(STORAGE_KEY, serialized);
+  } else {
+    sessionStorage.removeItem(STORAGE_KEY);
+  }
+  document.dispatchEvent(new CustomEvent(AGENT_CHANGE_EVENT, { detail: value }));
+  return true;
+}
+
+/**
+ * Makes an agent the active one for the whole site
+ *
+ * @param {{agent_id: string, distributor_name: string, bdm_name: string,
+ *     bdm_phone: string}|null} agent - Selected dealer, or null to clear the selection
+ */
+export function setActiveAgent(agent) {
+  if (storeAgent(agent)) {
+    publish('agent:change', getActiveAgent());
+  }
+}
+
+/**
+ * Forgets the active agent in this tab, e.g. on logout
+ */
+export function clearActiveAgent() {
+  storeAgent(null);
+}
+
+// Another tab picked a different agent
+subscribe('agent:change', (agent) => storeAgent(agent));
+
+// Forget the agent when the user signs out or it is not one of theirs
+document.addEventListener(PROFILE_CHANGE_EVENT, ({ detail: profile }) => {
+  const agent = getActiveAgent();
+  if (!agent) return;
+  if (!profile || (profile.agentIds.length && !profile.agentIds.includes(agent.agent_id))) {
+    storeAgent(null);
+  }
+});
@@ -0,0 +1,201 @@
+/**
+ * Authentication Status UI
+ *
+ * Covers the page with a loading overlay while sign-in settles, and replaces
+ * the page content with a clear explanation when it fails. Failures are
+ * grouped into a few statuses, each with its own message and a retry or
+ * sign-in action.
+ *
+ * Errors are recognised by name and code rather than by class, so this module
+ * does not depend on oauth.js or config.js and both can use it.
+ *
+ * @module auth-status
+ */
+
+/**
+ * Kinds of sign-in failure shown to the user
+ */
+export const AUTH_STATUS = {
+  ACCESS_DENIED: 'access_denied',
+  INVALID_STATE: 'invalid_state',
+  UNREACHABLE: 'unreachable',
+  MISCONFIGURED: 'misconfigured',
+  INSUFFICIENT_ACCESS: 'insufficient_access',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * What the user sees for each status, and which action is offered
+ * `login` starts a new interactive sign-in, `retry` reloads the page and
+ * `home` goes to the site root.
+ */
+const STATUS_CONTENT = {
+  [AUTH_STATUS.ACCESS_DENIED]: {
+    title: 'Access was not granted',
+    message: 'Sign-in was cancelled or access was declined. You need to sign in to use this site.',
+    action: 'login',
+    label: 'Sign in',
+  },
+  [AUTH_STATUS.INVALID_STATE]: {
+    title: 'Your sign-in has expired',
+    message: 'Your sign-in took too long or could not be verified. Please sign in again.',
+    action: 'login',
+    label: 'Sign in again',
+  },
+  [AUTH_STATUS.UNREACHABLE]: {
+    title: 'We can\'t reach the sign-in service',
+    message: 'This is usually temporary. Check your connection and try again in a moment.',
+    action: 'retry',
+    label: 'Try again',
+  },
+  [AUTH_STATUS.MISCONFIGURED]: {
+    title: 'This page is temporarily unavailable',
+    message: 'Sign-in is not configured correctly for this site. Please try again later or contact CIL support.',
+    action: 'retry',
+    label: 'Try again',
+  },
+  [AUTH_STATUS.INSUFFICIENT_ACCESS]: {
+    title: 'You don\'t have access to this page',
+    message: 'Your account doesn\'t have the permissions this page needs. If you think this is wrong, contact CIL support.',
+    action: 'home',
+    label: 'Go to the home page',
+  },
+  [AUTH_STATUS.UNKNOWN]: {
+    title: 'We couldn\'t sign you in',
+    message: 'Something went wrong while signing you in. Please try again.',
+    action: 'login',
+    label: 'Sign in again',
+  },
+};
+
+/**
+ * OAuth error codes (authorization and token endpoints) by status
+ */
+const OAUTH_ERROR_STATUS = {
+  access_denied: AUTH_STATUS.ACCESS_DENIED,
+  consent_required: AUTH_STATUS.ACCESS_DENIED,
+  invalid_grant: AUTH_STATUS.INVALID_STATE,
+  login_required: AUTH_STATUS.INVALID_STATE,
+  interaction_required: AUTH_STATUS.INVALID_STATE,
+  server_error: AUTH_STATUS.UNREACHABLE,
+  temporarily_unavailable: AUTH_STATUS.UNREACHABLE,
+  invalid_client: AUTH_STATUS.MISCONFIGURED,
+  invalid_request: AUTH_STATUS.MISCONFIGURED,
+  invalid_scope: AUTH_STATUS.MISCONFIGURED,
+  unauthorized_client: AUTH_STATUS.MISCONFIGURED,
+  unsupported_grant_type: AUTH_STATUS.MISCONFIGURED,
+  unsupported_response_type: AUTH_STATUS.MISCONFIGURED,
+};
+
+/**
+ * IdTokenError codes by status
+ */
+const ID_TOKEN_ERROR_STATUS = {
+  jwks_unavailable: AUTH_STATUS.UNREACHABLE,
+  invalid_issuer: AUTH_STATUS.MISCONFIGURED,
+  invalid_audience: AUTH_STATUS.MISCONFIGURED,
+  unsupported_algorithm: AUTH_STATUS.MISCONFIGURED,
+  unknown_key: AUTH_STATUS.MISCONFIGURED,
+};
+
+/**
+ * Works out which status describes a sign-in failure
+ *
+ * @param {Error} error - OAuthError, IdTokenError, ConfigError or any other error
+ * @returns {string} One of AUTH_STATUS
+ */
+export function classifyAuthError(error) {
+  switch (error?.name) {
+    case 'ConfigError':
+      return AUTH_STATUS.MISCONFIGURED;
+    case 'OAuthError':
+      if (error.status >= 500) return AUTH_STATUS.UNREACHABLE;
+      return OAUTH_ERROR_STATUS[error.code] || AUTH_STATUS.UNKNOWN;
+    case 'IdTokenError':
+      // a bad nonce, signature or expiry means this response cannot be trusted
+      return ID_TOKEN_ERROR_STATUS[error.code] || AUTH_STATUS.INVALID_STATE;
+    case 'TypeError': // fetch() network failure
+    case 'TimeoutError':
+      return AUTH_STATUS.UNREACHABLE;
+    default:
+      if (error?.message === 'PKCE data not found') return AUTH_STATUS.INVALID_STATE;
+      return AUTH_STATUS.UNKNOWN;
+  }
+}
+
+/**
+ * Covers the page with a loading indicator until hideAuthLoading() is called
+ */
+export function showAuthLoading() {
+  if (document.querySelector('.auth-loading')) return;
+  const overlay = document.createElement('div');
+  overlay.className = 'auth-loading';
+  overlay.setAttribute('role', 'status');
+  const label = document.createElement('p');
+  label.textContent = 'Signing you in…';
+  overlay.append(label);
+  document.body.append(overlay);
+  document.body.classList.add('auth-pending');
+}
+
+/**
+ * Removes the loading overlay
+ */
+export function hideAuthLoading() {
+  document.querySelector('.auth-loading')?.remove();
+  document.body.classList.remove('auth-pending');
+}
+
+/**
+ * Replaces the page content with an explanation of a sign-in failure
+ *
+ * @param {string} status - One of AUTH_STATUS
+ * @param {Object} [options]
+ * @param {string} [options.returnTo] - Page to reload or sign in to, the current page by default
+ * @param {Function} [options.onLogin] - Starts an interactive sign-in; without it,
+ *     sign-in actions reload the page instead
+ * @param {string} [options.details] - Technical details, only shown to developers
+ */
+export function renderAuthError(status, { returnTo, onLogin, details } = {}) {
+  const content = STATUS_CONTENT[status] || STATUS_CONTENT[AUTH_STATUS.UNKNOWN];
+  const target = returnTo || window.location.href;
+
+  const section = document.createElement('div');
+  section.className = 'section auth-status';
+  section.dataset.status = status;
+  const heading = document.createElement('h1');
+  heading.textContent = content.title;
+  const message = document.createElement('p');
+  message.textContent = content.message;
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'button';
+  button.textContent = content.label;
+  button.addEventListener('click', () => {
+    button.disabled = true;
+    if (content.action === 'login' && onLogin) {
+      onLogin(target);
+    } else if (content.action === 'home') {
+      window.location.assign('/');
+    } else {
+      window.location.replace(target);
+    }
+  });
+  const actions = document.createElement('p');
+  actions.className = 'button-container';
+  actions.append(button);
+  section.append(heading, message, actions);
+
+  if (details) {
+    const pre = document.createElement('pre');
+    pre.textContent = details;
+    section.append(pre);
+  }
+
+  const main = document.querySelector('main') || document.body;
+  main.replaceChildren(section);
+  hideAuthLoading();
+  document.body.classList.add('appear');
+  heading.tabIndex = -1;
+  heading.focus();
+}
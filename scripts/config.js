@@ -4,47 +4,297 @@
  * Configuration for browser-based OAuth flow and API endpoints.
  * Contains OAuth client settings, IAM endpoints, and session parameters.
  *
+ * The values come from the `forgerock-config.json` sheet and are loaded once
+ * per page; every caller of forgeRockConfig() shares the same promise. The
+ * sheet may hold one row per environment (`environment` column); the row is
+ * chosen from the page's `environment` metadata, then the sheet's own
+ * `environment` property, else from the hostname.
+ * Rows are validated against CONFIG_SCHEMA and a broken configuration renders
+ * an error page instead of failing later with a TypeError.
+ *
+ * On localhost, values can be overridden for testing (e.g. against
+ * tools/mock-idp) with a JSON object in localStorage under `cil-config:overrides`.
+ *
  * @module config
  */
 
-// eslint-disable-next-line import/prefer-default-export,consistent-return
-export async function forgeRockConfig() {
+import { getMetadata, isAuthor } from './aem.js';
+import { AUTH_STATUS, renderAuthError } from './auth-status.js';
+
+/**
+ * localStorage flag that turns sign-in on for localhost, e.g. against tools/mock-idp
+ */
+const LOCAL_AUTH_KEY = 'cil-auth:local';
+
+/**
+ * localStorage key holding config overrides, honoured on localhost only
+ */
+const LOCAL_OVERRIDES_KEY = 'cil-config:overrides';
+
+/**
+ * Expected columns of a forgerock-config.json row
+ * Sheet cells arrive as strings, so numbers and URLs are coerced and checked here.
+ */
+const CONFIG_SCHEMA = {
+  clientId: { type: 'string', required: true },
+  baseUrl: { type: 'url', required: true },
+  brand: { type: 'string', required: true },
+  sessionCheckInterval: { type: 'number', required: true, min: 1000 },
+  timeout: { type: 'number', required: true, min: 1000 },
+  idleTimeout: { type: 'number', min: 60000 },
+  idleWarning: { type: 'number', min: 1000 },
+  issuer: { type: 'url' },
+  jwksUri: { type: 'url' },
+  publishUrl: { type: 'url', required: true },
+  signedOutPath: { type: 'path' },
+  draftsEndpoint: { type: 'url' },
+};
+
+/**
+ * Raised when the configuration cannot be loaded or is invalid
+ */
+export class ConfigError extends Error {
+  /**
+   * @param {string} message - Summary of the failure
+   * @param {string[]} [problems] - Individual validation problems
+   */
+  constructor(message, problems = []) {
+    super(problems.length ? `${message}: ${problems.join('; ')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Shared result of the first forgeRockConfig() call
+ * @type {Promise<Object|null>|null}
+ */
+let configPromise = null;
+
+/**
+ * Whether the page is served from a developer's machine
+ *
+ * @returns {boolean} True on localhost
+ */
+export function isLocalhost() {
+  const { hostname } = window.location;
+  return hostname === 'localhost' || hostname === '127.0.0.1';
+}
+
+/**
+ * Whether pages on this host require a signed-in user
+ *
+ * @returns {boolean} False in author mode, and on localhost unless opted in
+ */
+export function isAuthEnabled() {
+  if (isAuthor) return false;
+  if (isLocalhost()) {
+    try {
+      return localStorage.getItem(LOCAL_AUTH_KEY) === 'true';
+    } catch (e) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Works out which environment this page belongs to
+ * Page metadata wins, then the sheet's own setting; otherwise preview hosts
+ * (*.aem.page) and localhost count as stage and dev, and everything else as prod.
+ *
+ * @param {string} [sheetEnvironment] - `environment` property of the config sheet
+ * @returns {string} Environment name
+ */
+function detectEnvironment(sheetEnvironment) {
+  const configured = getMetadata('environment') || sheetEnvironment;
+  if (configured) return configured.trim().toLowerCase();
+
+  if (isLocalhost()) return 'dev';
+  if (/\.(aem|hlx)\.page$/.test(window.location.hostname)) return 'stage';
+  return 'prod';
+}
+
+/**
+ * Picks the sheet row for an environment
+ * Falls back to a row without an environment, never to another environment's row.
+ *
+ * @param {Object[]} rows - Sheet rows
+ * @param {string} environment - Environment name
+ * @returns {Object|undefined} Matching row, undefined if the sheet has no rows
+ * @throws {ConfigError} If every row belongs to another environment
+ */
+function selectRow(rows, environment) {
+  const row = rows.find((candidate) => candidate.environment?.toLowerCase() === environment)
+    || rows.find((candidate) => !candidate.environment);
+  if (!row && rows.length) {
+    throw new ConfigError(`forgerock-config.json has no row for the ${environment} environment`);
+  }
+  return row;
+}
+
+/**
+ * Reads local test overrides (localhost only)
+ *
+ * @returns {Object} Overrides, empty if none or not on localhost
+ */
+function readLocalOverrides() {
+  if (!isLocalhost()) return {};
+  try {
+    return JSON.parse(localStorage.getItem(LOCAL_OVERRIDES_KEY)) || {};
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.warn(`Ignoring invalid ${LOCAL_OVERRIDES_KEY}`, e);
+    return {};
+  }
+}
+
+/**
+ * Validates and coerces a configuration row against CONFIG_SCHEMA
+ *
+ * @param {Object} row - Raw sheet row
+ * @returns {Object} Row with typed values
+ * @throws {ConfigError} Listing every problem found
+ */
+function validate(row) {
+  const values = {};
+  const problems = [];
+  Object.entries(CONFIG_SCHEMA).forEach(([key, rule]) => {
+    const raw = row[key];
+    if (raw === undefined || raw === null || raw === '') {
+      if (rule.required) problems.push(`${key} is missing`);
+      return;
+    }
+    if (rule.type === 'number') {
+      const value = Number(raw);
+      if (!Number.isFinite(value) || value < (rule.min ?? -Infinity)) {
+        problems.push(`${key} must be a number${rule.min ? ` of at least ${rule.min}` : ''}`);
+      } else {
+        values[key] = value;
+      }
+    } else if (rule.type === 'path') {
+      // same-origin paths only, so the value cannot send users off-site
+      if (!/^\/(?!\/)/.test(String(raw).trim())) {
+        problems.push(`${key} must be a path starting with a single /`);
+      } else {
+        values[key] = String(raw).trim();
+      }
+    } else if (rule.type === 'url') {
+      try {
+        const url = new URL(raw);
+        if (!['https:', 'http:'].includes(url.protocol)) throw new Error(url.protocol);
+        values[key] = String(raw).replace(/\/$/, '');
+      } catch (e) {
+        problems.push(`${key} must be an absolute http(s) URL`);
+      }
+    } else {
+      values[key] = String(raw).trim();
+    }
+  });
+  if (problems.length) {
+    throw new ConfigError('Invalid ForgeRock configuration', problems);
+  }
+  return values;
+}
+
+/**
+ * Builds the configuration object used by the auth modules
+ *
+ * @param {Object} values - Validated row
+ * @param {string} environment - Environment name
+ * @returns {Object} Configuration
+ */
+function buildConfig(values, environment) {
+  const { origin } = window.location;
+  const oauthPath = `/api/openid/oauth/v3/${values.brand}`;
+  return {
+    app: {
+      // Application base URL (must match OAuth redirect URI origin)
+      baseUrl: origin,
+      name: environment,
+      // AEM publish tier serving backend servlets
+      environment: values.publishUrl,
+      // Public page users land on after logging out
+      signedOutPath: values.signedOutPath || '/signed-out',
+      // Optional service keeping "Save for later" drafts, see draft-storage.js
+      draftsEndpoint: values.draftsEndpoint,
+    },
+    iam: {
+      // OAuth 2.0 Client Configuration
+      clientId: values.clientId, // Public client ID
+      scopes: ['openid', 'profile', 'email', 'attribute:agent_ids.read'],
+      redirectUri: `${origin}/callback`,
+
+      // IAM Endpoints
+      baseUrl: values.baseUrl,
+      authorizationEndpoint: `${oauthPath}/authorize`,
+      tokenEndpoint: `${oauthPath}/access_token`,
+      sessionEndpoint: `${oauthPath}/sessions`,
+      userinfoEndpoint: `${oauthPath}/userinfo`,
+      revocationEndpoint: `${oauthPath}/token/revoke`,
+      // Expected `iss` claim of id_tokens issued to this client
+      issuer: values.issuer || `${values.baseUrl}${oauthPath}`,
+      // Public keys used to verify id_token signatures
+      jwksUri: values.jwksUri || `${values.baseUrl}${oauthPath}/connect/jwk_uri`,
+
+      // Session Management
+      sessionCheckInterval: values.sessionCheckInterval, // How often to validate the session
+      timeout: values.timeout, // Timeout for silent auth and session calls
+      idleTimeout: values.idleTimeout, // Optional, session.js falls back to 30 minutes
+      idleWarning: values.idleWarning, // Optional, session.js falls back to 2 minutes
+    },
+  };
+}
+
+/**
+ * Fetches, validates and builds the configuration
+ *
+ * @returns {Promise<Object>} Configuration
+ * @throws {ConfigError} If it cannot be loaded or is invalid
+ */
+async function loadConfig() {
+  let sheet;
   try {
     const response = await fetch(`${window.hlx.codeBasePath}/forgerock-config.json`);
-    const data = await response.json();
-    const configValues = data.data[0];
-    const { origin } = window.location;
-    const env = {
-      dev: 'https://publish-p138853-e1404402.adobeaemcloud.com/',
-      stage: 'https://publish-p138853-e1404403.adobeaemcloud.com/',
-      prod: 'https://publish-p138853-e1404355.adobeaemcloud.com/',
-    };
-
-    const config = {
-      app: {
-        // Application base URL (must match OAuth redirect URI origin)
-        baseUrl: origin,
-        environment: env[data.environment?.toLowerCase()] || env.dev
-      },
-      iam: {
-        // OAuth 2.0 Client Configuration
-        clientId: configValues.clientId, // Public client ID
-        scopes: ['openid', 'profile', 'email', 'attribute:agent_ids.read'],
-        redirectUri: `${origin}/callback`,
-
-        // IAM Endpoints
-        baseUrl: configValues.baseUrl,
-        authorizationEndpoint: `/api/openid/oauth/v3/${configValues.brand}/authorize`,
-        tokenEndpoint: `/api/openid/oauth/v3/${configValues.brand}/access_token`,
-        sessionEndpoint: `/api/openid/oauth/v3/${configValues.brand}/sessions`,
-
-        // Session Management
-        sessionCheckInterval: configValues.sessionCheckInterval, // Check session every 2 minutes
-        timeout: configValues.timeout // 10 second timeout for silent auth
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    sheet = await response.json();
+  } catch (e) {
+    throw new ConfigError(`Unable to load forgerock-config.json (${e.message})`);
+  }
+
+  const environment = detectEnvironment(sheet?.environment);
+  const row = selectRow(sheet?.data || [], environment);
+  if (!row) {
+    throw new ConfigError('forgerock-config.json has no configuration rows');
+  }
+  return buildConfig(validate({ ...row, ...readLocalOverrides() }), environment);
+}
+
+/**
+ * Returns the site configuration, loading it on first use
+ *
+ * Where sign-in is disabled (localhost, author) a broken configuration only
+ * logs a warning and resolves to null. Otherwise the error page is shown and
+ * the promise rejects with a ConfigError.
+ *
+ * @returns {Promise<Object|null>} Configuration
+ */
+export function forgeRockConfig() {
+  if (!configPromise) {
+    configPromise = loadConfig().catch((error) => {
+      if (!isAuthEnabled()) {
+        // eslint-disable-next-line no-console
+        console.warn('ForgeRock config unavailable, sign-in is disabled here anyway:', error);
+        return null;
       }
-    };
-    return config;
-  } catch (error) {
-    console.error('Error loading ForgeRock Config:', error);
+      // eslint-disable-next-line no-console
+      console.error('Error loading ForgeRock Config:', error);
+      // show the details to developers only
+      renderAuthError(AUTH_STATUS.MISCONFIGURED, {
+        details: isLocalhost() ? error.message : undefined,
+      });
+      throw error;
+    });
   }
+  return configPromise;
 }
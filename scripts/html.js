@@ -0,0 +1,78 @@
+/**
+ * Safe HTML Templates
+ *
+ * Tagged template for building markup from data that must never be parsed as
+ * HTML, such as backend responses and sheet content:
+ *
+ *   render(el, html`<p><strong>Name:</strong> ${dealer.name}</p>`);
+ *
+ * Every interpolated value is escaped unless it is itself an html`` template,
+ * so templates can be nested. Arrays are rendered item by item, and null,
+ * undefined and false render nothing.
+ *
+ * @module html
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Markup built by html``, trusted to be inserted as is
+ */
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+/**
+ * Escapes text for use in element content and quoted attribute values
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => ESCAPES[char]);
+}
+
+function toMarkup(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(toMarkup).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Builds markup, escaping every interpolated value
+ *
+ * @param {TemplateStringsArray} strings - Literal parts of the template
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHtml} Markup for render()
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((markup, string, i) => `${markup}${toMarkup(values[i - 1])}${string}`));
+}
+
+/**
+ * Replaces the children of an element with markup built by html``
+ *
+ * @param {Element} target - Element to fill
+ * @param {SafeHtml} template - Markup from html``
+ */
+export function render(target, template) {
+  if (!(template instanceof SafeHtml)) {
+    throw new TypeError('render() only accepts markup built with html``');
+  }
+  const container = document.createElement('template');
+  container.innerHTML = template.markup;
+  target.replaceChildren(container.content);
+}
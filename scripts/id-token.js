@@ -0,0 +1,249 @@
+/**
+ * OpenID Connect id_token Verification
+ *
+ * Verifies id_tokens returned by the token endpoint: the JWS signature is
+ * checked against the IdP's published JWKS, then the iss, aud, exp, iat and
+ * nonce claims are validated. Failures are reported as IdTokenError with a
+ * machine-readable code so callers can tell them apart.
+ *
+ * The JWKS is cached per URI and re-fetched when a token references an
+ * unknown `kid`, which covers routine key rotation at the IdP. Point
+ * `jwksUri` at a local JWKS file to exercise the verification offline.
+ *
+ * @module id-token
+ */
+
+/**
+ * Allowed difference between our clock and the IdP's, in seconds
+ */
+const DEFAULT_CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Minimum time between two JWKS downloads triggered by an unknown kid
+ */
+const JWKS_REFETCH_INTERVAL_MS = 60000;
+
+/**
+ * WebCrypto import and verify parameters per JWS algorithm
+ */
+const ALGORITHMS = {
+  RS256: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+  RS384: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+  RS512: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+  ES256: { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' },
+  ES384: { name: 'ECDSA', namedCurve: 'P-384', hash: 'SHA-384' },
+  ES512: { name: 'ECDSA', namedCurve: 'P-521', hash: 'SHA-512' },
+};
+
+/**
+ * Downloaded key sets keyed by JWKS URI
+ * @type {Map<string, {keys: Object[], fetchedAt: number}>}
+ */
+const jwksCache = new Map();
+
+/**
+ * Error raised when an id_token fails verification
+ *
+ * Codes: 'malformed', 'unsupported_algorithm', 'unknown_key', 'invalid_signature',
+ * 'invalid_issuer', 'invalid_audience', 'expired', 'issued_in_future', 'invalid_nonce',
+ * 'stale_authentication', 'insufficient_acr', 'jwks_unavailable'.
+ */
+export class IdTokenError extends Error {
+  /**
+   * @param {string} code - Machine-readable failure code
+   * @param {string} message - Human-readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'IdTokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Decodes a base64url string to bytes
+ * @param {string} value - Base64url-encoded value
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64UrlToBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Decodes a base64url-encoded JSON segment
+ * @param {string} segment - JWT segment
+ * @returns {Object} Parsed JSON
+ */
+function decodeSegment(segment) {
+  return JSON.parse(new TextDecoder().decode(base64UrlToBytes(segment)));
+}
+
+/**
+ * Splits and decodes a compact-serialized JWT without verifying it
+ *
+ * @param {string} token - Compact-serialized JWT
+ * @returns {{header: Object, claims: Object, signingInput: string, signature: Uint8Array}}
+ * @throws {IdTokenError} 'malformed' if the token cannot be decoded
+ */
+export function decodeJwt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new IdTokenError('malformed', 'id_token is not a compact JWS');
+  }
+  try {
+    return {
+      header: decodeSegment(parts[0]),
+      claims: decodeSegment(parts[1]),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: base64UrlToBytes(parts[2]),
+    };
+  } catch (error) {
+    throw new IdTokenError('malformed', `id_token could not be decoded: ${error.message}`);
+  }
+}
+
+/**
+ * Downloads a JWKS and stores it in the cache
+ *
+ * @param {string} jwksUri - JWKS endpoint
+ * @returns {Promise<Object[]>} Keys in the set
+ * @throws {IdTokenError} 'jwks_unavailable' if the download fails
+ */
+async function fetchJwks(jwksUri) {
+  let response;
+  try {
+    response = await fetch(jwksUri, { headers: { Accept: 'application/json' } });
+  } catch (error) {
+    throw new IdTokenError('jwks_unavailable', `JWKS request failed: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new IdTokenError('jwks_unavailable', `JWKS request failed: ${response.status}`);
+  }
+  const { keys = [] } = await response.json();
+  jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+  return keys;
+}
+
+/**
+ * Finds the signing key for a token, refreshing the JWKS once if the kid is unknown
+ *
+ * @param {string} jwksUri - JWKS endpoint
+ * @param {Object} header - Decoded JWS header
+ * @returns {Promise<Object>} Matching JWK
+ * @throws {IdTokenError} 'unknown_key' if no key matches
+ */
+async function findSigningKey(jwksUri, header) {
+  const matches = (key) => (!header.kid || key.kid === header.kid)
+    && (!key.use || key.use === 'sig')
+    && (!key.alg || key.alg === header.alg);
+
+  const cached = jwksCache.get(jwksUri);
+  let key = cached?.keys.find(matches);
+  if (!key && (!cached || Date.now() - cached.fetchedAt >= JWKS_REFETCH_INTERVAL_MS)) {
+    // Not seen yet or the IdP rotated its keys
+    key = (await fetchJwks(jwksUri)).find(matches);
+  }
+  if (!key) {
+    throw new IdTokenError('unknown_key', `No signing key found for kid ${header.kid}`);
+  }
+  return key;
+}
+
+/**
+ * Verifies the JWS signature of a decoded token
+ *
+ * @param {{header: Object, signingInput: string, signature: Uint8Array}} jwt - Decoded token
+ * @param {Object} jwk - Public signing key
+ * @throws {IdTokenError} 'invalid_signature' if the signature does not verify
+ */
+async function verifySignature(jwt, jwk) {
+  const algorithm = ALGORITHMS[jwt.header.alg];
+  let valid = false;
+  try {
+    const key = await crypto.subtle.importKey('jwk', jwk, algorithm, false, ['verify']);
+    valid = await crypto.subtle.verify(
+      algorithm,
+      key,
+      jwt.signature,
+      new TextEncoder().encode(jwt.signingInput),
+    );
+  } catch (error) {
+    valid = false;
+  }
+  if (!valid) {
+    throw new IdTokenError('invalid_signature', 'id_token signature is invalid');
+  }
+}
+
+/**
+ * Validates the standard OpenID Connect claims of an id_token
+ *
+ * @param {Object} claims - Decoded id_token claims
+ * @param {Object} options - Expected values
+ * @param {string} options.issuer - Expected `iss`
+ * @param {string} options.clientId - Client ID that must appear in `aud`
+ * @param {string} [options.nonce] - Nonce sent with the authorization request, if any
+ * @param {number} [options.maxAge] - `max_age` sent with the request: the user must
+ *     have authenticated at most this many seconds ago (`auth_time`)
+ * @param {string[]} [options.acrValues] - `acr_values` sent with the request, one of
+ *     which the `acr` claim must match
+ * @param {number} [options.clockSkewSeconds] - Allowed clock difference
+ * @throws {IdTokenError} If a claim does not match
+ */
+export function validateIdTokenClaims(claims, {
+  issuer, clientId, nonce, maxAge, acrValues, clockSkewSeconds = DEFAULT_CLOCK_SKEW_SECONDS,
+}) {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const audiences = [].concat(claims.aud);
+
+  if (claims.iss !== issuer) {
+    throw new IdTokenError('invalid_issuer', `Unexpected issuer ${claims.iss}`);
+  }
+  if (!audiences.includes(clientId) || (audiences.length > 1 && claims.azp !== clientId)) {
+    throw new IdTokenError('invalid_audience', 'id_token was not issued to this client');
+  }
+  if (typeof claims.exp !== 'number' || claims.exp + clockSkewSeconds <= nowSeconds) {
+    throw new IdTokenError('expired', 'id_token has expired');
+  }
+  if (typeof claims.iat !== 'number' || claims.iat - clockSkewSeconds > nowSeconds) {
+    throw new IdTokenError('issued_in_future', 'id_token iat is in the future');
+  }
+  if (nonce && claims.nonce !== nonce) {
+    throw new IdTokenError('invalid_nonce', 'id_token nonce does not match the request');
+  }
+  if (maxAge !== undefined
+    && (typeof claims.auth_time !== 'number'
+      || claims.auth_time + maxAge + clockSkewSeconds < nowSeconds)) {
+    throw new IdTokenError('stale_authentication', `User did not authenticate within ${maxAge}s`);
+  }
+  if (acrValues?.length && !acrValues.includes(claims.acr)) {
+    throw new IdTokenError('insufficient_acr', `Authentication context ${claims.acr} was not requested`);
+  }
+}
+
+/**
+ * Verifies an id_token's signature and claims
+ *
+ * @param {string} idToken - Compact-serialized id_token
+ * @param {Object} options - Verification options
+ * @param {string} options.jwksUri - JWKS endpoint of the IdP
+ * @param {string} options.issuer - Expected `iss`
+ * @param {string} options.clientId - Client ID that must appear in `aud`
+ * @param {string} [options.nonce] - Nonce sent with the authorization request, if any
+ * @param {number} [options.maxAge] - Maximum authentication age in seconds
+ * @param {string[]} [options.acrValues] - Acceptable `acr` values
+ * @param {number} [options.clockSkewSeconds] - Allowed clock difference
+ * @returns {Promise<Object>} Verified claims
+ * @throws {IdTokenError} If verification fails
+ */
+export async function verifyIdToken(idToken, options) {
+  const jwt = decodeJwt(idToken);
+  if (!ALGORITHMS[jwt.header.alg]) {
+    throw new IdTokenError('unsupported_algorithm', `Unsupported alg ${jwt.header.alg}`);
+  }
+  const jwk = await findSigningKey(options.jwksUri, jwt.header);
+  await verifySignature(jwt, jwk);
+  validateIdTokenClaims(jwt.claims, options);
+  return jwt.claims;
+}
@@ -3,20 +3,149 @@
  *
  * Implements the OAuth 2.0 authorization code flow with PKCE (Proof Key for Code Exchange)
  * for secure authentication. Supports both silent authentication via iframe and
- * full-page redirects when interaction is required.
+ * full-page redirects when interaction is required. When the IdP issues refresh
+ * tokens they are used first, so renewal keeps working where third-party cookies
+ * (and therefore the iframe) are blocked.
+ *
+ * Tokens are shared between open tabs (see tab-sync.js): a tab without a token
+ * first asks its peers, and only the leader tab renews proactively.
  *
  * PKCE Flow:
  * 1. Generate random code_verifier (64 chars)
  * 2. Create code_challenge from SHA-256 hash of verifier
  * 3. Send challenge with authorization request
  * 4. Exchange code + verifier for access token
+ * 5. Verify the returned id_token (signature, iss, aud, exp, iat, nonce)
+ *
+ * Step-up: before sensitive actions (e.g. binding cover) callers can require a
+ * recent authentication with hasRecentAuthentication() and, if it is too old,
+ * send the user back to the IdP with requestStepUp() (prompt=login, max_age,
+ * acr_values). The returned id_token must then prove the fresher login.
  *
  * @module oauth
  */
 
 import { forgeRockConfig } from './config.js';
+import {
+    IdTokenError, decodeJwt, validateIdTokenClaims, verifyIdToken,
+} from './id-token.js';
+import {
+    publish, subscribe, claimLeadership, canShareSecrets,
+} from './tab-sync.js';
+
+/**
+ * Site configuration, set by loadConfig()
+ * It is not awaited when the module is imported: a broken configuration would
+ * then fail every module importing this one rather than the calls needing it.
+ */
+let config = null;
+
+/**
+ * Loads the site configuration on first use
+ *
+ * @returns {Promise<Object>} Configuration
+ * @throws {ConfigError} If the configuration is missing or invalid
+ */
+async function loadConfig() {
+    config ??= await forgeRockConfig();
+    return config;
+}
+
+/**
+ * Seconds before expiry at which a cached token is treated as stale and renewed
+ */
+const RENEWAL_MARGIN_SECONDS = 60;
+
+/**
+ * How long to wait for another tab to share its token before fetching one
+ */
+const PEER_TOKEN_TIMEOUT_MS = 300;
+
+/**
+ * Minimum time between two interactive login redirects before we assume a loop
+ */
+const LOGIN_LOOP_WINDOW_MS = 30000;
+
+/**
+ * Prefix shared by every storage key this module writes, so logout can purge them all
+ */
+const STORAGE_PREFIX = 'oauth.';
+
+/**
+ * Prefix of the sessionStorage entries holding PKCE data, followed by the state
+ */
+const PKCE_KEY_PREFIX = `${STORAGE_PREFIX}pkce.`;
+
+/**
+ * sessionStorage keys used to persist state across page loads
+ */
+const STORAGE_KEYS = {
+    refreshToken: 'oauth.refreshToken',
+    silentAuthUnavailable: 'oauth.silentAuthUnavailable',
+    loginRedirectAt: 'oauth.loginRedirectAt',
+    interactiveLogin: 'oauth.interactiveLogin',
+    userProfile: 'oauth.userProfile',
+};
+
+/**
+ * Event dispatched on document when the signed-in user's profile changes
+ * The new profile (or null after logout) is passed as event.detail.
+ */
+const PROFILE_CHANGE_EVENT = 'auth:profilechange';
+
+/**
+ * Error returned by the authorization or token endpoint
+ * `code` is the OAuth error code (e.g. 'access_denied', 'invalid_grant') and
+ * `status` the HTTP status of the token endpoint response, if any.
+ */
+class OAuthError extends Error {
+    /**
+     * @param {string} code - OAuth error code
+     * @param {string} message - Human-readable description
+     * @param {number} [status] - HTTP status
+     */
+    constructor(code, message, status) {
+        super(message);
+        this.name = 'OAuthError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Module-level token cache
+ * Holds the last token response so repeated callers on the same page reuse it
+ * instead of starting a new PKCE round trip.
+ *
+ * @type {{accessToken: string, idToken: (string|undefined), idTokenClaims: (Object|undefined),
+ *     nonce: (string|undefined), expiresAt: number}|null}
+ */
+let tokenCache = null;
+
+/**
+ * Pending profile lookup shared by concurrent getUserProfile() callers
+ * @type {Promise<Object>|null}
+ */
+let inFlightProfile = null;
+
+/**
+ * Callbacks of requestTokenFromPeers() waiting for another tab's token
+ * @type {Set<Function>}
+ */
+const peerTokenWaiters = new Set();
+
+/**
+ * Pending token request shared by concurrent callers
+ * @type {{promise: Promise<string>, forced: boolean}|null}
+ */
+let inFlightRequest = null;
+
+/**
+ * Timer handle for the proactive renewal scheduled before expiry
+ * @type {number|null}
+ */
+let renewalTimer = null;
 
-const config = await forgeRockConfig();
 /**
  * Generates a cryptographically secure random string for PKCE
  *
@@ -27,7 +156,7 @@ function generateRandomString(length) {
     const array = new Uint8Array(length);
     crypto.getRandomValues(array);
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._';
-    return Array.from(array, byte => chars[byte % chars.length]).join('');
+    return Array.from(array, (byte) => chars[byte % chars.length]).join('');
 }
 
 /**
@@ -46,20 +175,77 @@ async function generateCodeChallenge(verifier) {
 }
 
 /**
- * Generates PKCE parameters and stores them in sessionStorage
+ * Resolves a return URL to a same-origin path, query string and hash
+ * Anything pointing at another origin, or back at the callback page, falls back
+ * to the site root so the login flow cannot be used as an open redirect.
+ *
+ * @param {string} [returnTo] - Absolute or relative URL to return to
+ * @returns {string} Safe same-origin path including query string and hash
+ */
+function resolveReturnPath(returnTo) {
+    try {
+        const url = new URL(returnTo || '/', window.location.origin);
+        if (url.origin !== window.location.origin || url.pathname === '/callback') {
+            return '/';
+        }
+        return url.pathname + url.search + url.hash;
+    } catch (error) {
+        return '/';
+    }
+}
+
+/**
+ * Generates PKCE parameters and an OpenID Connect nonce and stores them in sessionStorage
  * The state parameter is used as the key to prevent CSRF attacks
  *
- * @returns {Promise<{state: string, verifier: string, challenge: string}>} PKCE parameters
+ * @param {string} [returnTo] - Location to restore once the login round trip completes
+ * @param {{maxAge: number, acrValues: string[]}} [stepUp] - Step-up requirements the
+ *     returned id_token must meet
+ * @returns {Promise<{state: string, verifier: string, challenge: string, nonce: string}>}
+ *     PKCE parameters
  */
-async function generateAndStorePKCE() {
+async function generateAndStorePKCE(returnTo, stepUp) {
     const state = generateRandomString(32);
     const verifier = generateRandomString(64);
     const challenge = await generateCodeChallenge(verifier);
+    const nonce = generateRandomString(32);
 
-    // Store verifier and challenge keyed by state for later retrieval
-    sessionStorage.setItem(state, JSON.stringify({ verifier, challenge }));
+    // Store verifier, challenge, nonce and return location keyed by state for later retrieval
+    sessionStorage.setItem(PKCE_KEY_PREFIX + state, JSON.stringify({
+        verifier,
+        challenge,
+        nonce,
+        returnTo: returnTo && resolveReturnPath(returnTo),
+        stepUp,
+    }));
+
+    return {
+        state, verifier, challenge, nonce,
+    };
+}
+
+/**
+ * Reads the PKCE data stored for a state
+ *
+ * @param {string} state - OAuth state parameter
+ * @returns {{verifier: string, challenge: string, nonce: string, returnTo: string}|null}
+ *     Stored PKCE data, or null if none (unknown state or expired session)
+ */
+function getPkceData(state) {
+    try {
+        return JSON.parse(sessionStorage.getItem(PKCE_KEY_PREFIX + state));
+    } catch (error) {
+        return null;
+    }
+}
 
-    return { state, verifier, challenge };
+/**
+ * Removes the PKCE data stored for a state once it has been used
+ *
+ * @param {string} state - OAuth state parameter
+ */
+function removePkceData(state) {
+    sessionStorage.removeItem(PKCE_KEY_PREFIX + state);
 }
 
 /**
@@ -67,27 +253,204 @@ async function generateAndStorePKCE() {
  *
  * @param {string} state - CSRF protection state parameter
  * @param {string} challenge - PKCE code challenge
- * @param {string} [prompt] - Optional prompt parameter ('none' for silent auth)
+ * @param {string} [prompt] - Optional prompt parameter ('none' for silent auth,
+ *     'login' to re-authenticate)
+ * @param {string} [nonce] - OpenID Connect nonce echoed back in the id_token
+ * @param {{maxAge: number, acrValues: string[]}} [stepUp] - Step-up requirements
  * @returns {string} Complete authorization URL
  */
-function buildAuthUrl(state, challenge, prompt) {
+function buildAuthUrl(state, challenge, prompt, nonce, stepUp) {
     const authUrl = config.iam.baseUrl + config.iam.authorizationEndpoint;
     const params = new URLSearchParams({
         client_id: config.iam.clientId,
         redirect_uri: config.iam.redirectUri,
         response_type: 'code',
         scope: config.iam.scopes.join(' '),
-        state: state,
+        state,
         code_challenge: challenge,
         code_challenge_method: 'S256',
     });
 
+    if (nonce) {
+        params.set('nonce', nonce);
+    }
+
     // Add prompt parameter if specified (e.g., 'none' for silent authentication)
     if (prompt) {
         params.set('prompt', prompt);
     }
 
-    return authUrl + '?' + params.toString();
+    if (stepUp?.maxAge !== undefined) {
+        params.set('max_age', String(stepUp.maxAge));
+    }
+    if (stepUp?.acrValues?.length) {
+        params.set('acr_values', stepUp.acrValues.join(' '));
+    }
+
+    return `${authUrl}?${params.toString()}`;
+}
+
+/**
+ * Checks whether the cached token can still be handed out
+ *
+ * @returns {boolean} True if a token is cached and not within the renewal margin
+ */
+function isCachedTokenValid() {
+    return Boolean(tokenCache)
+        && Date.now() < tokenCache.expiresAt - RENEWAL_MARGIN_SECONDS * 1000;
+}
+
+/**
+ * Cancels the scheduled renewal, if any
+ */
+function cancelRenewal() {
+    if (renewalTimer) {
+        clearTimeout(renewalTimer);
+        renewalTimer = null;
+    }
+}
+
+/**
+ * Expected values used when checking id_token claims
+ *
+ * @param {string} [nonce] - Nonce sent with the authorization request, if any
+ * @param {{maxAge: number, acrValues: string[]}} [stepUp] - Step-up requirements, if any
+ * @returns {{jwksUri: string, issuer: string, clientId: string, nonce: (string|undefined),
+ *     maxAge: (number|undefined), acrValues: (string[]|undefined)}}
+ */
+function idTokenExpectations(nonce, stepUp) {
+    return {
+        jwksUri: config.iam.jwksUri,
+        issuer: config.iam.issuer,
+        clientId: config.iam.clientId,
+        nonce,
+        maxAge: stepUp?.maxAge,
+        acrValues: stepUp?.acrValues,
+    };
+}
+
+/**
+ * Maps id_token or userinfo claims to the profile shape used by the site
+ * agent_ids may arrive as an array or a comma-separated string.
+ *
+ * @param {Object} claims - OpenID Connect claims
+ * @returns {{sub: string, name: string, givenName: string, familyName: string,
+ *     email: string, agentIds: string[]}} User profile
+ */
+function toUserProfile(claims) {
+    const agentIds = Array.isArray(claims.agent_ids)
+        ? claims.agent_ids
+        : String(claims.agent_ids || '').split(',');
+
+    return {
+        sub: claims.sub,
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' '),
+        givenName: claims.given_name || '',
+        familyName: claims.family_name || '',
+        email: claims.email || '',
+        agentIds: agentIds.map((id) => String(id).trim()).filter(Boolean),
+    };
+}
+
+/**
+ * Stores the profile for the rest of the browser session
+ * Dispatches PROFILE_CHANGE_EVENT when it differs from the stored one.
+ *
+ * @param {Object|null} profile - New profile, or null to clear it
+ */
+function setUserProfile(profile) {
+    const serialized = profile ? JSON.stringify(profile) : null;
+    if (serialized === sessionStorage.getItem(STORAGE_KEYS.userProfile)) {
+        return;
+    }
+    if (serialized) {
+        sessionStorage.setItem(STORAGE_KEYS.userProfile, serialized);
+    } else {
+        sessionStorage.removeItem(STORAGE_KEYS.userProfile);
+    }
+    document.dispatchEvent(new CustomEvent(PROFILE_CHANGE_EVENT, { detail: profile }));
+}
+
+/**
+ * Builds the message used to hand the cached token to other tabs
+ * Only the raw id_token is sent: the receiving tab verifies it itself rather
+ * than trusting claims (auth_time, acr) asserted by the sender.
+ *
+ * @returns {{data: Object}} Token message payload
+ */
+function tokenMessage() {
+    return {
+        data: {
+            access_token: tokenCache.accessToken,
+            id_token: tokenCache.idToken,
+            refresh_token: sessionStorage.getItem(STORAGE_KEYS.refreshToken) || undefined,
+            expires_in: Math.floor((tokenCache.expiresAt - Date.now()) / 1000),
+        },
+    };
+}
+
+/**
+ * Stores a token endpoint response in the cache
+ * The id_token, if any, must already have been verified. Its renewal is
+ * scheduled the next time getAccessToken() hands the token out.
+ *
+ * @param {{access_token: string, expires_in: number, id_token: string}} data - Token response
+ * @param {Object} [idTokenClaims] - Verified id_token claims
+ * @param {boolean} [fromPeer] - True if another tab sent it, so it is not broadcast again
+ */
+function cacheTokenResponse(data, idTokenClaims, fromPeer = false) {
+    // Keep refresh tokens (and rotated replacements) so later page loads can renew
+    // without the iframe
+    if (data.refresh_token) {
+        sessionStorage.setItem(STORAGE_KEYS.refreshToken, data.refresh_token);
+    }
+    tokenCache = {
+        accessToken: data.access_token,
+        idToken: data.id_token,
+        idTokenClaims,
+        nonce: idTokenClaims?.nonce,
+        expiresAt: Date.now() + (Number(data.expires_in) || 0) * 1000,
+    };
+    cancelRenewal();
+
+    if (!fromPeer && canShareSecrets) {
+        publish('token', tokenMessage(), { sensitive: true });
+    }
+
+    if (idTokenClaims && sessionStorage.getItem(STORAGE_KEYS.userProfile)) {
+        setUserProfile(toUserProfile(idTokenClaims));
+    }
+}
+
+/**
+ * Clears the cached token and cancels any scheduled renewal
+ * Call on logout so a stale token is never handed out again.
+ */
+function clearTokenCache() {
+    tokenCache = null;
+    sessionStorage.removeItem(STORAGE_KEYS.refreshToken);
+    setUserProfile(null);
+    cancelRenewal();
+}
+
+/**
+ * Verifies the id_token of a token endpoint response, if one was issued
+ *
+ * @param {{id_token: string}} data - Token response
+ * @param {string} [nonce] - Nonce sent with the authorization request
+ * @param {{maxAge: number, acrValues: string[]}} [stepUp] - Step-up requirements, if any
+ * @returns {Promise<Object|undefined>} Verified claims
+ * @throws {IdTokenError} If verification fails, or no id_token proves a requested step-up
+ */
+async function verifyTokenResponse(data, nonce, stepUp) {
+    await loadConfig();
+    if (!data.id_token) {
+        if (stepUp) {
+            throw new IdTokenError('stale_authentication', 'Step-up requested but no id_token was issued');
+        }
+        return undefined;
+    }
+    return verifyIdToken(data.id_token, idTokenExpectations(nonce, stepUp));
 }
 
 /**
@@ -95,45 +458,121 @@ function buildAuthUrl(state, challenge, prompt) {
  *
  * @param {string} code - Authorization code from OAuth provider
  * @param {string} verifier - PKCE code verifier
+ * @param {string} [nonce] - Nonce sent with the authorization request
+ * @param {{maxAge: number, acrValues: string[]}} [stepUp] - Step-up requirements sent
+ *     with the authorization request, if any
  * @returns {Promise<string>} Access token
- * @throws {Error} If token exchange fails
+ * @throws {OAuthError} If the token endpoint rejects the exchange
+ * @throws {IdTokenError} If the returned id_token fails verification
  */
-async function exchangeCodeForToken(code, verifier) {
+async function exchangeCodeForToken(code, verifier, nonce, stepUp) {
+    await loadConfig();
     const tokenUrl = config.iam.baseUrl + config.iam.tokenEndpoint;
     const body = new URLSearchParams({
         grant_type: 'authorization_code',
         client_id: config.iam.clientId,
-        code: code,
+        code,
         redirect_uri: config.iam.redirectUri,
-        code_verifier: verifier
+        code_verifier: verifier,
+    });
+
+    const response = await fetch(tokenUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: body.toString(),
+    });
+
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({}));
+        throw new OAuthError(error || 'server_error', `Token exchange failed: ${response.statusText}`, response.status);
+    }
+
+    const data = await response.json();
+    cacheTokenResponse(data, await verifyTokenResponse(data, nonce, stepUp));
+
+    // A pending login redirect has now completed
+    if (sessionStorage.getItem(STORAGE_KEYS.loginRedirectAt)) {
+        sessionStorage.removeItem(STORAGE_KEYS.loginRedirectAt);
+        sessionStorage.setItem(STORAGE_KEYS.interactiveLogin, 'true');
+    }
+    return data.access_token;
+}
+
+/**
+ * Exchanges the stored refresh token for a new access token
+ * The stored refresh token is discarded if the IdP rejects it.
+ *
+ * @returns {Promise<string>} Access token
+ * @throws {Error} 'refresh_token_missing' or 'Token refresh failed: ...'
+ */
+async function refreshAccessToken() {
+    const refreshToken = sessionStorage.getItem(STORAGE_KEYS.refreshToken);
+    if (!refreshToken) {
+        throw new Error('refresh_token_missing');
+    }
+
+    await loadConfig();
+    const tokenUrl = config.iam.baseUrl + config.iam.tokenEndpoint;
+    const body = new URLSearchParams({
+        grant_type: 'refresh_token',
+        client_id: config.iam.clientId,
+        refresh_token: refreshToken,
     });
 
     const response = await fetch(tokenUrl, {
         method: 'POST',
         headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
+            'Content-Type': 'application/x-www-form-urlencoded',
         },
-        body: body.toString()
+        body: body.toString(),
     });
 
     if (!response.ok) {
-        throw new Error('Token exchange failed: ' + response.statusText);
+        sessionStorage.removeItem(STORAGE_KEYS.refreshToken);
+        throw new Error(`Token refresh failed: ${response.statusText}`);
     }
 
     const data = await response.json();
+    // Refreshed id_tokens carry no nonce, so only signature and standard claims are checked
+    const idTokenClaims = await verifyTokenResponse(data);
+    if (!data.id_token && tokenCache?.idToken) {
+        // the IdP need not issue a new id_token on refresh; the user and sign-in are unchanged
+        cacheTokenResponse({ ...data, id_token: tokenCache.idToken }, tokenCache.idTokenClaims);
+    } else {
+        cacheTokenResponse(data, idTokenClaims);
+    }
     return data.access_token;
 }
 
+/**
+ * Records that iframe silent auth cannot work in this browser
+ * Only done once the user has logged in interactively in this tab: if the IdP
+ * still answers the iframe with interaction_required, its session cookie is
+ * being withheld from third-party contexts. An iframe that does not answer at
+ * all (offline, a stalled network) says nothing about cookies.
+ */
+function markSilentAuthUnavailableIfLoggedIn() {
+    if (sessionStorage.getItem(STORAGE_KEYS.interactiveLogin)) {
+        // eslint-disable-next-line no-console
+        console.warn('Silent authentication unavailable, third-party cookies appear to be blocked');
+        sessionStorage.setItem(STORAGE_KEYS.silentAuthUnavailable, 'true');
+    }
+}
+
 /**
  * Attempts to obtain an access token silently using a hidden iframe
  * This works if the user has an active session with the identity provider
  *
  * @returns {Promise<string>} Access token if successful
- * @throws {Error} 'interaction_required' if user must authenticate interactively
+ * @throws {Error} 'interaction_required' if user must authenticate interactively,
+ *     a 'TimeoutError' DOMException if the IdP did not answer in time (worth retrying)
  */
 async function getAccessTokenSilently() {
-    const { state, challenge } = await generateAndStorePKCE();
-    const authUrl = buildAuthUrl(state, challenge, 'none');
+    await loadConfig();
+    const { state, challenge, nonce } = await generateAndStorePKCE();
+    const authUrl = buildAuthUrl(state, challenge, 'none', nonce);
 
     return new Promise((resolve, reject) => {
         // Create hidden iframe for silent authentication
@@ -142,38 +581,52 @@ async function getAccessTokenSilently() {
         iframe.style.display = 'none';
         document.body.appendChild(iframe);
 
+        const listener = new AbortController();
+
         // Set timeout to prevent hanging
         const timeout = setTimeout(() => {
             document.body.removeChild(iframe);
-            reject(new Error('interaction_required'));
+            listener.abort();
+            removePkceData(state);
+            // the caller may retry later
+            reject(new DOMException('Silent authentication timed out', 'TimeoutError'));
         }, config.iam.timeout); // 10 seconds timeout
 
         // Listen for postMessage from callback page
-        const messageHandler = (event) => {
+        window.addEventListener('message', (event) => {
             // SECURITY: Validate message origin to prevent message injection attacks
             const expectedOrigin = new URL(config.iam.redirectUri).origin;
             if (event.origin !== expectedOrigin) {
-                console.warn('Rejected postMessage from unexpected origin:', event.origin, 'Expected:', expectedOrigin);
+                // eslint-disable-next-line no-console
+                console.warn(
+                    'Rejected postMessage from unexpected origin:',
+                    event.origin,
+                    'Expected:',
+                    expectedOrigin,
+                );
                 return;
             }
 
             if (event.data.type === 'oauthCallback') {
                 clearTimeout(timeout);
                 document.body.removeChild(iframe);
-                window.removeEventListener('message', messageHandler);
+                listener.abort();
 
                 const { code, state: receivedState, error } = event.data;
 
-                if (error === 'interaction_required') {
+                if (error === 'interaction_required' || error === 'login_required') {
+                    markSilentAuthUnavailableIfLoggedIn();
                     reject(new Error('interaction_required'));
                 } else if (error) {
-                    reject(new Error('OAuth error: ' + error));
+                    reject(new Error(`OAuth error: ${error}`));
                 } else if (code && receivedState === state) {
                     // Retrieve stored PKCE data using state as key
-                    const pkceData = JSON.parse(sessionStorage.getItem(receivedState));
+                    const pkceData = getPkceData(receivedState);
                     if (pkceData) {
-                        sessionStorage.removeItem(receivedState);
-                        exchangeCodeForToken(code, pkceData.verifier).then(resolve).catch(reject);
+                        removePkceData(receivedState);
+                        exchangeCodeForToken(code, pkceData.verifier, pkceData.nonce)
+                            .then(resolve)
+                            .catch(reject);
                     } else {
                         reject(new Error('PKCE data not found'));
                     }
@@ -181,43 +634,403 @@ async function getAccessTokenSilently() {
                     reject(new Error('Invalid callback'));
                 }
             }
-        };
-
-        window.addEventListener('message', messageHandler);
+        }, { signal: listener.signal });
     });
 }
 
 /**
  * Redirects the user to the login page for interactive authentication
- * Called when silent authentication fails
+ * Called when silent authentication fails. The current location (path, query
+ * string and hash) is stored against the state and restored after login.
+ *
+ * @param {string} [returnTo] - Where to return after login, the current location by default
+ * @throws {Error} 'login_loop_detected' if a redirect moments ago did not complete
  */
-async function redirectToLogin() {
-    const { state, challenge } = await generateAndStorePKCE();
-    const authUrl = buildAuthUrl(state, challenge, '');
+async function redirectToLogin(returnTo = window.location.href) {
+    await loadConfig();
+    const lastRedirect = Number(sessionStorage.getItem(STORAGE_KEYS.loginRedirectAt));
+    if (lastRedirect && Date.now() - lastRedirect < LOGIN_LOOP_WINDOW_MS) {
+        throw new Error('login_loop_detected');
+    }
+    sessionStorage.setItem(STORAGE_KEYS.loginRedirectAt, String(Date.now()));
+
+    const { state, challenge, nonce } = await generateAndStorePKCE(returnTo);
+    const authUrl = buildAuthUrl(state, challenge, '', nonce);
     window.location.href = authUrl;
 }
 
 /**
- * Main function to obtain an access token
- * Attempts silent authentication first, falls back to redirect if needed
+ * Whether the signed-in user authenticated recently enough for a sensitive action
+ * Judged from the `auth_time` and `acr` claims of the cached id_token.
  *
+ * @param {Object} [requirements]
+ * @param {number} [requirements.maxAge] - Maximum seconds since the user authenticated
+ * @param {string[]} [requirements.acrValues] - Acceptable authentication contexts
+ * @returns {boolean} True if no step-up is needed
+ */
+function hasRecentAuthentication({ maxAge, acrValues } = {}) {
+    const claims = isCachedTokenValid() ? tokenCache.idTokenClaims : null;
+    // without the configuration the claims cannot be checked, e.g. before sign-in
+    if (!claims || !config) {
+        return false;
+    }
+    try {
+        validateIdTokenClaims(claims, idTokenExpectations(tokenCache.nonce, { maxAge, acrValues }));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Sends the user to the IdP to authenticate again (step-up authentication)
+ * The IdP is asked for a fresh login (prompt=login) and, if given, for one within
+ * `maxAge` seconds and one of `acrValues`; the id_token that comes back must prove them.
+ * The user returns to `returnTo`, where callers resume what they were doing.
+ *
+ * @param {Object} [requirements]
+ * @param {number} [requirements.maxAge] - Maximum seconds since the user authenticated
+ * @param {string[]} [requirements.acrValues] - Acceptable authentication contexts
+ * @param {string} [requirements.returnTo] - Where to return, the current location by default
+ * @returns {Promise<void>}
+ */
+async function requestStepUp({ maxAge, acrValues, returnTo = window.location.href } = {}) {
+    await loadConfig();
+    const requirements = { maxAge, acrValues: acrValues?.length ? acrValues : undefined };
+    const { state, challenge, nonce } = await generateAndStorePKCE(returnTo, requirements);
+    window.location.href = buildAuthUrl(state, challenge, 'login', nonce, requirements);
+}
+
+/**
+ * Starts an interactive login at the user's request, e.g. from an error page
+ * The user asked for it, so a recent failed attempt does not count as a loop.
+ *
+ * @param {string} [returnTo] - Where to return after login, the current location by default
+ * @returns {Promise<void>}
+ */
+async function login(returnTo) {
+    sessionStorage.removeItem(STORAGE_KEYS.loginRedirectAt);
+    await redirectToLogin(returnTo);
+}
+
+/**
+ * Asks the other open tabs for a valid token
+ *
+ * @returns {Promise<boolean>} True if a peer supplied a token in time
+ */
+function requestTokenFromPeers() {
+    if (!canShareSecrets) {
+        return Promise.resolve(false);
+    }
+    return new Promise((resolve) => {
+        let timeout = null;
+        // called by acceptPeerToken() once it has verified and cached a token
+        const waiter = () => {
+            clearTimeout(timeout);
+            peerTokenWaiters.delete(waiter);
+            resolve(true);
+        };
+        timeout = setTimeout(() => {
+            peerTokenWaiters.delete(waiter);
+            resolve(false);
+        }, PEER_TOKEN_TIMEOUT_MS);
+        peerTokenWaiters.add(waiter);
+        publish('token:request');
+    });
+}
+
+/**
+ * Obtains a new token without user interaction
+ * Reuses another tab's token if possible, then prefers the refresh token grant
+ * and only uses the iframe when it can work.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.skipPeers] - Do not ask other tabs (their token was rejected)
  * @returns {Promise<string>} Access token
+ * @throws {Error} 'interaction_required' if neither method is available
+ */
+async function fetchNewToken({ skipPeers = false } = {}) {
+    if (!skipPeers && await requestTokenFromPeers()) {
+        return tokenCache.accessToken;
+    }
+    if (sessionStorage.getItem(STORAGE_KEYS.refreshToken)) {
+        try {
+            return await refreshAccessToken();
+        } catch (error) {
+            // eslint-disable-next-line no-console
+            console.warn('Refresh token grant failed, falling back:', error);
+        }
+    }
+    if (sessionStorage.getItem(STORAGE_KEYS.silentAuthUnavailable)) {
+        throw new Error('interaction_required');
+    }
+    return getAccessTokenSilently();
+}
+
+/**
+ * Requests a fresh token, sharing one in-flight request between concurrent callers
+ * A forced request does not join a pending unforced one, which may deliver the very
+ * token that was just rejected; it starts once that one has settled instead.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - The cached token was rejected, do not take it from other tabs
+ * @returns {Promise<string>} Access token
+ */
+function requestToken({ force = false } = {}) {
+    if (inFlightRequest && (inFlightRequest.forced || !force)) {
+        return inFlightRequest.promise;
+    }
+    const pending = inFlightRequest?.promise.catch(() => {});
+    const request = { forced: force };
+    request.promise = Promise.resolve(pending)
+        .then(() => fetchNewToken({ skipPeers: force }))
+        .finally(() => {
+            if (inFlightRequest === request) {
+                inFlightRequest = null;
+            }
+        });
+    inFlightRequest = request;
+    return request.promise;
+}
+
+/**
+ * Schedules a silent renewal shortly before the cached token expires, unless one is pending
+ * Only the leader tab renews; the others receive its new token.
+ * Failures are only logged; the next getAccessToken() call retries normally.
+ */
+function scheduleRenewal() {
+    if (renewalTimer || !tokenCache) {
+        return;
+    }
+    const delay = tokenCache.expiresAt - RENEWAL_MARGIN_SECONDS * 1000 - Date.now();
+    renewalTimer = setTimeout(() => {
+        renewalTimer = null;
+        if (!claimLeadership()) {
+            return;
+        }
+        requestToken().then(scheduleRenewal).catch((err) => {
+            // eslint-disable-next-line no-console
+            console.warn('Proactive token renewal failed:', err);
+        });
+    }, Math.max(delay, 0));
+}
+
+/**
+ * Main function to obtain an access token
+ * Returns the cached token while it is valid, otherwise attempts silent
+ * authentication and falls back to redirect if needed
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh] - Ignore the cached token, e.g. after an API
+ *     rejected it with 401
+ * @returns {Promise<string|null>} Access token, or null while redirecting to login
  * @throws {Error} If authentication fails (before redirect)
  */
-async function getAccessToken() {
+async function getAccessToken({ forceRefresh = false } = {}) {
+    if (!forceRefresh && isCachedTokenValid()) {
+        scheduleRenewal();
+        return tokenCache.accessToken;
+    }
     try {
-        return await getAccessTokenSilently();
+        const accessToken = await requestToken({ force: forceRefresh });
+        scheduleRenewal();
+        return accessToken;
     } catch (error) {
-        if (error.message === 'interaction_required') {
-            // Redirect to login page (this will navigate away from current page)
-            redirectToLogin();
-            // Note: Code after this point won't execute due to redirect
-        } else {
+        if (error.message !== 'interaction_required') {
             throw error;
         }
+        // Redirect to login page (this will navigate away from current page)
+        await redirectToLogin();
+        return null;
     }
 }
 
-// Export public API
-export { getAccessToken, exchangeCodeForToken };
+/**
+ * Revokes the current refresh and access tokens at the IdP
+ * Best effort: failures are logged, since local state is purged regardless.
+ *
+ * @returns {Promise<void>}
+ */
+async function revokeTokens() {
+    await loadConfig();
+    const tokens = [
+        sessionStorage.getItem(STORAGE_KEYS.refreshToken),
+        tokenCache?.accessToken,
+    ].filter(Boolean);
+
+    await Promise.all(tokens.map(async (token) => {
+        try {
+            const response = await fetch(config.iam.baseUrl + config.iam.revocationEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                body: new URLSearchParams({ client_id: config.iam.clientId, token }).toString(),
+            });
+            if (!response.ok) {
+                // eslint-disable-next-line no-console
+                console.warn('Token revocation returned status', response.status);
+            }
+        } catch (error) {
+            // eslint-disable-next-line no-console
+            console.warn('Token revocation failed:', error);
+        }
+    }));
+}
+
+/**
+ * Forgets every token and purges all auth state this module keeps in
+ * sessionStorage or localStorage (refresh token, PKCE entries, profile, flags)
+ */
+function clearAuthStorage() {
+    clearTokenCache();
+    [sessionStorage, localStorage].forEach((storage) => {
+        Object.keys(storage)
+            .filter((key) => key.startsWith(STORAGE_PREFIX))
+            .forEach((key) => storage.removeItem(key));
+    });
+}
+
+/**
+ * Fetches the user's claims from the IdP userinfo endpoint
+ *
+ * @returns {Promise<Object>} Userinfo claims
+ * @throws {Error} If the request fails
+ */
+async function fetchUserInfo() {
+    await loadConfig();
+    const accessToken = await getAccessToken();
+    const response = await fetch(config.iam.baseUrl + config.iam.userinfoEndpoint, {
+        headers: {
+            Authorization: `Bearer ${accessToken}`,
+            Accept: 'application/json',
+        },
+    });
+
+    if (!response.ok) {
+        throw new Error(`Userinfo request failed: ${response.statusText}`);
+    }
+    return response.json();
+}
 
+/**
+ * Returns the signed-in user's raw claims, e.g. to evaluate page access rules
+ * They come from the cached id_token, or from userinfo if the id_token is
+ * missing or fails validation.
+ *
+ * @returns {Promise<Object>} Claims
+ */
+async function getUserClaims() {
+    await loadConfig();
+    await getAccessToken();
+
+    let claims = null;
+    if (tokenCache?.idToken) {
+        try {
+            // Signature was verified when the token was cached; re-check expiry and claims
+            ({ claims } = decodeJwt(tokenCache.idToken));
+            validateIdTokenClaims(claims, idTokenExpectations(tokenCache.nonce));
+        } catch (error) {
+            // eslint-disable-next-line no-console
+            console.warn('id_token rejected, falling back to userinfo:', error);
+            claims = null;
+        }
+    }
+    if (!claims) {
+        claims = await fetchUserInfo();
+    }
+    return claims;
+}
+
+/**
+ * Resolves the profile from the user's claims and stores it
+ *
+ * @returns {Promise<Object>} User profile
+ */
+async function loadUserProfile() {
+    const profile = toUserProfile(await getUserClaims());
+    setUserProfile(profile);
+    return profile;
+}
+
+/**
+ * Returns the signed-in user's profile (name, email, agent_ids)
+ * The result is cached for the browser session; listen for
+ * 'auth:profilechange' on document to be notified of changes.
+ *
+ * @returns {Promise<{sub: string, name: string, givenName: string, familyName: string,
+ *     email: string, agentIds: string[]}>} User profile
+ */
+async function getUserProfile() {
+    const cached = sessionStorage.getItem(STORAGE_KEYS.userProfile);
+    if (cached) {
+        return JSON.parse(cached);
+    }
+    if (!inFlightProfile) {
+        inFlightProfile = loadUserProfile().finally(() => {
+            inFlightProfile = null;
+        });
+    }
+    return inFlightProfile;
+}
+
+/**
+ * Caches a token sent by another tab if it outlives the cached one
+ * The id_token is verified like one from the token endpoint, without the nonce,
+ * which belongs to the other tab's request. A token whose id_token fails is ignored.
+ *
+ * @param {{access_token: string, expires_in: number, id_token: string}} data - Token response
+ * @returns {Promise<void>}
+ */
+async function acceptPeerToken(data) {
+    const expiresAt = Date.now() + Number(data.expires_in) * 1000;
+    const outlivesCache = () => !tokenCache || tokenCache.expiresAt < expiresAt;
+    if (!outlivesCache()) {
+        return;
+    }
+    let idTokenClaims;
+    try {
+        idTokenClaims = await verifyTokenResponse(data);
+    } catch (error) {
+        // eslint-disable-next-line no-console
+        console.warn('Ignoring a token from another tab, its id_token did not verify:', error);
+        return;
+    }
+    // a fresher token may have arrived during the verification
+    if (!outlivesCache()) {
+        return;
+    }
+    cacheTokenResponse(data, idTokenClaims, true);
+    if (isCachedTokenValid()) {
+        peerTokenWaiters.forEach((waiter) => waiter());
+    }
+}
+
+// Keep this tab's token in step with the other tabs
+subscribe('token', ({ data }) => {
+    acceptPeerToken(data);
+});
+subscribe('token:request', () => {
+    if (isCachedTokenValid()) {
+        publish('token', tokenMessage(), { sensitive: true });
+    }
+});
+
+// Export public API
+export {
+    getAccessToken,
+    getUserProfile,
+    getUserClaims,
+    exchangeCodeForToken,
+    clearTokenCache,
+    clearAuthStorage,
+    revokeTokens,
+    login,
+    hasRecentAuthentication,
+    requestStepUp,
+    OAuthError,
+    getPkceData,
+    removePkceData,
+    resolveReturnPath,
+    PROFILE_CHANGE_EVENT,
+};
@@ -0,0 +1,64 @@
+/**
+ * Per-Page Access Rules
+ *
+ * Pages declare who may see them in their metadata:
+ *
+ *   auth:            public | authenticated (default)
+ *   required-claims: comma-separated claims the user's token must carry,
+ *                    e.g. `agent_ids`
+ *
+ * Public pages skip sign-in altogether. Unknown `auth` values are treated as
+ * `authenticated` so a typo never exposes a page.
+ *
+ * @module page-access
+ */
+
+import { getMetadata } from './aem.js';
+
+/**
+ * Values of the `auth` metadata
+ */
+export const PAGE_ACCESS = {
+  PUBLIC: 'public',
+  AUTHENTICATED: 'authenticated',
+};
+
+/**
+ * Reads the access rules of the current page from its metadata
+ *
+ * @returns {{access: string, requiredClaims: string[]}} One of PAGE_ACCESS and
+ *     the claims the user must have
+ */
+export function getPageAccessRules() {
+  const declared = getMetadata('auth').trim().toLowerCase();
+  let access = PAGE_ACCESS.AUTHENTICATED;
+  if (declared === PAGE_ACCESS.PUBLIC) {
+    access = PAGE_ACCESS.PUBLIC;
+  } else if (declared && declared !== PAGE_ACCESS.AUTHENTICATED) {
+    // eslint-disable-next-line no-console
+    console.warn(`Unknown auth metadata "${declared}", treating the page as ${PAGE_ACCESS.AUTHENTICATED}`);
+  }
+
+  const requiredClaims = getMetadata('required-claims')
+    .split(',')
+    .map((claim) => claim.trim())
+    .filter(Boolean);
+
+  return { access, requiredClaims };
+}
+
+/**
+ * Lists the required claims the user lacks
+ * A claim counts as present unless it is missing, empty or an empty list.
+ *
+ * @param {Object} claims - The user's id_token or userinfo claims
+ * @param {string[]} requiredClaims - Claim names the page requires
+ * @returns {string[]} Missing claim names, empty if the user has access
+ */
+export function findMissingClaims(claims, requiredClaims) {
+  return requiredClaims.filter((name) => {
+    const value = claims?.[name];
+    if (Array.isArray(value)) return value.length === 0;
+    return value === undefined || value === null || value === '';
+  });
+}
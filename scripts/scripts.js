@@ -10,10 +10,28 @@ import {
   loadSection,
   loadSections,
   loadCSS,
-  isAuthor,
 } from './aem.js';
 
-import { getAccessToken, exchangeCodeForToken } from './oauth.js';
+import {
+  getAccessToken,
+  exchangeCodeForToken,
+  getPkceData,
+  removePkceData,
+  resolveReturnPath,
+  login,
+  getUserClaims,
+  OAuthError,
+} from './oauth.js';
+import { createSessionChecker } from './session.js';
+import { forgeRockConfig, isAuthEnabled, isLocalhost } from './config.js';
+import {
+  AUTH_STATUS,
+  classifyAuthError,
+  hideAuthLoading,
+  renderAuthError,
+  showAuthLoading,
+} from './auth-status.js';
+import { PAGE_ACCESS, findMissingClaims, getPageAccessRules } from './page-access.js';
 
 /**
  * Moves all the attributes from a given elmenet to another given element.
@@ -167,82 +185,84 @@ function loadDelayed() {
   // load anything that can be postponed to the latest here
 }
 
-async function loadPage() {
-  if (!(window.location.origin.includes('localhost') || isAuthor)) {
-    if (window.location.pathname == '/callback') {
-      forgeRockCallback();
-    } else {
-      await loadForgeRock();
-    }
-  }
-  await loadEager(document);
-  await loadLazy(document);
-  loadDelayed();
-}
-
 /**
- * Helper function that converts an AEM path into an EDS path.
+ * Shows the auth error page for a failure
+ * The OAuth parameters are dropped from the address first, so retrying does not
+ * replay a used code.
+ *
+ * @param {Error} err - What went wrong
+ * @param {string} returnPath - Page the user was trying to reach
+ * @param {string} [status] - One of AUTH_STATUS, derived from the error if omitted
  */
-export function getEDSLink(aemPath) {
-  return window.hlx.aemRoot
-    ? aemPath.replace(window.hlx.aemRoot, '').replace('.html', '').replace('/index', '/')
-    : aemPath;
+function showAuthError(err, returnPath, status = classifyAuthError(err)) {
+  window.history.replaceState({}, document.title, returnPath);
+  renderAuthError(status, {
+    returnTo: returnPath,
+    onLogin: (returnTo) => login(returnTo),
+    details: isLocalhost() ? err.message : undefined,
+  });
 }
 
 /**
- * Helper function that adapts the path to work on EDS and AEM rendering
+ * Signs the user in, completing a login redirect if the URL carries one
+ *
+ * @returns {Promise<boolean>} True once the user is signed in; false if an error
+ *     page is shown or the browser is being sent to the login page
  */
-export function getLink(edsPath) {
-  return window.hlx.aemRoot
-  && !edsPath.startsWith(window.hlx.aemRoot)
-  && edsPath.indexOf('.html') === -1
-    ? `${window.hlx.aemRoot}${edsPath}.html`
-    : edsPath;
-}
-
-window.hlx.aemRoot = '/content/cil';
-
 async function loadForgeRock() {
   const urlParams = new URLSearchParams(window.location.search);
   const code = urlParams.get('code');
   const state = urlParams.get('state');
   const error = urlParams.get('error');
 
+  // Restore the query string and hash the user started from
+  const pkceData = state ? getPkceData(state) : null;
+  const { pathname, search, hash } = window.location;
+  let returnPath = code || error ? pathname : `${pathname}${search}${hash}`;
+  if (pkceData?.returnTo) returnPath = resolveReturnPath(pkceData.returnTo);
+
   if (error) {
     // Handle OAuth error (e.g., user denied access)
+    // eslint-disable-next-line no-console
     console.error('OAuth error:', error);
-    // In production, show user-friendly error message
-    return;
+    if (pkceData) removePkceData(state);
+    showAuthError(new OAuthError(error, urlParams.get('error_description') || error), returnPath);
+    return false;
   }
 
   if (code && state) {
     // Handle OAuth callback - exchange code for token
-    const pkceData = JSON.parse(sessionStorage.getItem(state));
-
-    if (pkceData) {
-      sessionStorage.removeItem(state);
-
-      try {
-        const accessToken = await exchangeCodeForToken(code, pkceData.verifier);
-
-        // Clear URL parameters for clean browser history
-        window.history.replaceState({}, document.title, window.location.pathname);
-      } catch (err) {
-        console.error('Token exchange failed:', err);
-        // In production, show user-friendly error message
-      }
-    } else {
+    if (!pkceData) {
+      // eslint-disable-next-line no-console
       console.error('PKCE data not found - possible CSRF attack or session timeout');
+      showAuthError(new Error('PKCE data not found'), returnPath, AUTH_STATUS.INVALID_STATE);
+      return false;
     }
-  } else {
-    // No callback parameters - try silent authentication or redirect to login
+    removePkceData(state);
+
     try {
-      const accessToken = await getAccessToken();
+      await exchangeCodeForToken(code, pkceData.verifier, pkceData.nonce, pkceData.stepUp);
+      // Clear OAuth parameters
+      window.history.replaceState({}, document.title, returnPath);
+      return true;
     } catch (err) {
-      // If redirected for authentication, this won't execute
-      console.error('Failed to get token:', err);
+      // eslint-disable-next-line no-console
+      console.error('Token exchange failed:', err);
+      showAuthError(err, returnPath);
+      return false;
     }
   }
+
+  // No callback parameters - try silent authentication or redirect to login
+  try {
+    // no token means the browser is on its way to the login page
+    return Boolean(await getAccessToken());
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to get token:', err);
+    showAuthError(err, returnPath);
+    return false;
+  }
 }
 
 async function forgeRockCallback() {
@@ -259,22 +279,31 @@ async function forgeRockCallback() {
     if (window.top === window.self) {
       // Full-Page Callback Mode (Interactive Authentication)
       // User was redirected here after logging in at IAM
+      // eslint-disable-next-line no-console
       console.log('Handling callback in focus.');
 
+      // Return to the page the login started from (deep link), or the site root
+      const pkceData = getPkceData(state);
+      const applicationUrl = new URL(
+        resolveReturnPath(pkceData?.returnTo || url.pathname.replace('/callback', '/')),
+        window.location.origin,
+      );
+
       if (authCode) {
         // Success: Got authorization code
         // Redirect back to main application with code and state
-        const applicationPath = url.pathname.replace('/callback', '/');
-        window.location.replace(`${applicationPath}?code=${authCode}&state=${state}`);
+        applicationUrl.searchParams.set('code', authCode);
       } else {
         // Error: Authorization failed (e.g., user denied access)
         // Redirect back to main application with error and state
-        const applicationPath = url.pathname.replace('/callback', '/');
-        window.location.replace(`${applicationPath}?error=${error}&state=${state}`);
+        applicationUrl.searchParams.set('error', error);
       }
+      applicationUrl.searchParams.set('state', state);
+      window.location.replace(applicationUrl.href);
     } else {
       // Hidden Iframe Mode (Silent Authentication)
       // This page was loaded in an iframe for silent token refresh
+      // eslint-disable-next-line no-console
       console.log('Handling callback in iframe.');
 
       // SECURITY: Use specific origin instead of wildcard
@@ -295,4 +324,87 @@ async function forgeRockCallback() {
   // This might happen if user navigates directly to callback.html
 }
 
+/**
+ * Checks the page's required claims against the signed-in user's
+ *
+ * @param {string[]} requiredClaims - Claims from the page metadata
+ * @returns {Promise<boolean>} True if the user may see the page; otherwise an
+ *     error page is shown
+ */
+async function checkRequiredClaims(requiredClaims) {
+  if (!requiredClaims.length) return true;
+  try {
+    const missing = findMissingClaims(await getUserClaims(), requiredClaims);
+    if (!missing.length) return true;
+    // eslint-disable-next-line no-console
+    console.warn('Insufficient access, missing claims:', missing);
+    renderAuthError(AUTH_STATUS.INSUFFICIENT_ACCESS);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error('Failed to read user claims:', err);
+    showAuthError(err, window.location.href);
+  }
+  return false;
+}
+
+/**
+ * Loads the site configuration for sign-in
+ *
+ * @returns {Promise<Object|null>} Configuration, null if it is broken (the
+ *     error page is shown by then)
+ */
+async function loadAuthConfig() {
+  try {
+    return await forgeRockConfig();
+  } catch (err) {
+    return null;
+  }
+}
+
+async function loadPage() {
+  if (isAuthEnabled()) {
+    const config = await loadAuthConfig();
+    if (!config) return;
+    const { access, requiredClaims } = getPageAccessRules();
+    if (window.location.pathname === config.app.signedOutPath || access === PAGE_ACCESS.PUBLIC) {
+      // public page, e.g. the one shown after logout; signing in is up to the user
+    } else if (window.location.pathname === '/callback') {
+      forgeRockCallback();
+    } else {
+      // keep the page covered until sign-in and the access check settle
+      showAuthLoading();
+      const signedIn = await loadForgeRock();
+      if (!signedIn) return; // an error page is shown, or the browser is off to the login page
+      createSessionChecker(config.iam).attach();
+      if (!await checkRequiredClaims(requiredClaims)) return;
+      hideAuthLoading();
+    }
+  }
+  await loadEager(document);
+  await loadLazy(document);
+  loadDelayed();
+}
+
+/**
+ * Helper function that converts an AEM path into an EDS path.
+ */
+export function getEDSLink(aemPath) {
+  return window.hlx.aemRoot
+    ? aemPath.replace(window.hlx.aemRoot, '').replace('.html', '').replace('/index', '/')
+    : aemPath;
+}
+
+/**
+ * Helper function that adapts the path to work on EDS and AEM rendering
+ */
+export function getLink(edsPath) {
+  return window.hlx.aemRoot
+  && !edsPath.startsWith(window.hlx.aemRoot)
+  && edsPath.indexOf('.html') === -1
+    ? `${window.hlx.aemRoot}${edsPath}.html`
+    : edsPath;
+}
+
+window.hlx.aemRoot = '/content/cil';
+
 loadPage();
@@ -3,14 +3,39 @@
  *
  * Monitors user session validity by periodically checking with the identity provider.
  * Attaches to user activity events to detect when validation is needed.
- * Automatically logs out and reloads the page if session becomes invalid.
+ * Automatically logs out if the session becomes invalid.
+ *
+ * Logging out revokes the tokens, purges auth state and cached dealer info
+ * from storage, stops the checker and lands on the configured signed-out page
+ * rather than starting a new sign-in straight away.
+ *
+ * Also enforces an idle timeout: shortly before it elapses a dialog counts down
+ * and offers to extend the session or log out. Before any forced logout a
+ * 'session:beforelogout' event is dispatched on document so open forms can save
+ * their progress; listeners pass promises to event.detail.waitUntil().
+ *
+ * Open tabs coordinate through tab-sync.js: only the leader tab validates the
+ * session, activity in any tab keeps all of them alive, and a logout in one tab
+ * logs out every tab.
+ *
+ * Validation distinguishes an invalid session from an unreachable IdP. Only a
+ * positive "invalid" answer logs the user out; transport errors and server
+ * failures are retried with exponential backoff, and checks pause while the
+ * browser is offline.
  *
  * @module session
  */
 
 import { forgeRockConfig } from './config.js';
+import { clearAuthStorage, revokeTokens } from './oauth.js';
+import { publish, subscribe, claimLeadership } from './tab-sync.js';
+import { clearActiveAgent } from './agent-context.js';
 
-const config = await forgeRockConfig();
+/**
+ * The checker attached on this page, stopped on logout
+ * @type {{attach: Function, detach: Function}|null}
+ */
+let activeChecker = null;
 
 /**
  * Returns the current timestamp in milliseconds
@@ -21,26 +46,265 @@ function now() {
 }
 
 /**
- * Logs the user out by calling the IAM logout endpoint
- * This terminates the session on the identity provider side
+ * Longest time a forced logout waits for 'session:beforelogout' listeners
+ */
+const BEFORE_LOGOUT_TIMEOUT = 3000;
+
+/**
+ * Check interval and idle timings used when the options do not set them
+ */
+const DEFAULT_CHECK_INTERVAL = 120000; // Check the session every 2 minutes
+const DEFAULT_IDLE_TIMEOUT = 1800000; // Sign out after 30 minutes without activity
+const DEFAULT_IDLE_WARNING = 120000; // Warn 2 minutes before the idle sign-out
+
+/**
+ * Minimum time between two activity notifications sent to other tabs
+ */
+const ACTIVITY_BROADCAST_INTERVAL = 15000;
+
+/**
+ * First retry delay after the IdP could not be reached; doubles on each failure
+ */
+const RETRY_BASE_DELAY = 5000;
+
+/**
+ * Outcome of a call to the IAM sessions endpoint
+ */
+const SESSION_STATUS = {
+    VALID: 'valid',
+    INVALID: 'invalid',
+    UNREACHABLE: 'unreachable',
+};
+
+/**
+ * Calls an action on the IAM sessions endpoint and classifies the outcome
+ *
+ * Only a successful response saying the session is not valid, or a 401/403,
+ * counts as INVALID. Network errors, timeouts and other statuses (5xx, 429, ...)
+ * are UNREACHABLE: they say nothing about the session itself.
+ *
+ * @param {string} action - Endpoint action, e.g. 'validate' or 'refresh'
+ * @param {string} apiVersion - Accept-Api-Version header value
+ * @param {Function} isValid - Decides validity from the parsed response body
+ * @returns {Promise<string>} One of SESSION_STATUS
+ */
+async function callSessionEndpoint(action, apiVersion, isValid) {
+    const config = await forgeRockConfig();
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), config.iam.timeout);
+    try {
+        const resp = await fetch(`${config.iam.baseUrl}/api/iam/v1/sessions?_action=${action}`, {
+            method: 'POST',
+            headers: {
+                Accept: 'application/json',
+                'Accept-Api-Version': apiVersion,
+            },
+            credentials: 'include', // Include session cookies
+            signal: controller.signal,
+        });
+
+        if (resp.status === 401 || resp.status === 403) {
+            return SESSION_STATUS.INVALID;
+        }
+        if (!resp.ok) {
+            // eslint-disable-next-line no-console
+            console.warn(`Session ${action} API returned status`, resp.status);
+            return SESSION_STATUS.UNREACHABLE;
+        }
+
+        const data = await resp.json().catch(() => ({}));
+        return isValid(data) ? SESSION_STATUS.VALID : SESSION_STATUS.INVALID;
+    } catch (err) {
+        // eslint-disable-next-line no-console
+        console.warn(`Session ${action} request failed:`, err);
+        return SESSION_STATUS.UNREACHABLE;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Lets listeners (e.g. open quote forms) save their state before a forced logout
+ * Resolves once every promise passed to event.detail.waitUntil() has settled,
+ * or after BEFORE_LOGOUT_TIMEOUT, whichever comes first.
+ *
+ * @returns {Promise<void>}
+ */
+async function notifyBeforeLogout() {
+    const pending = [];
+    document.dispatchEvent(new CustomEvent('session:beforelogout', {
+        detail: { waitUntil: (promise) => pending.push(promise) },
+    }));
+    await Promise.race([
+        Promise.allSettled(pending),
+        new Promise((resolve) => {
+            setTimeout(resolve, BEFORE_LOGOUT_TIMEOUT);
+        }),
+    ]);
+}
+
+/**
+ * Block modules that keep data for the signed-in user in the browser
+ * Each entry loads its module on demand and clears that storage, so pages do
+ * not pull in block code just to be able to log out. Entries marked userWork
+ * hold unsent work (drafts, queued submissions) and are kept when a logout
+ * asks to keep drafts.
+ *
+ * @type {Array<{clear: function(): Promise<void>, userWork?: boolean}>}
+ */
+const BLOCK_STORAGE = [
+    {
+        clear: () => import('../blocks/distributor/dealer-info.js')
+            .then((m) => m.clearDealerInfoCache()),
+    },
+    {
+        clear: () => import('../blocks/distributor/dealer-combobox.js')
+            .then((m) => m.clearRecentDealers()),
+    },
+    {
+        clear: () => import('../blocks/form/drafts.js').then((m) => m.clearDrafts()),
+        userWork: true,
+    },
+    {
+        clear: () => import('../blocks/form/submission-queue.js')
+            .then((m) => m.clearSubmissionQueue()),
+        userWork: true,
+    },
+];
+
+/**
+ * Purges what blocks keep for the user
+ * A failure in one block is logged without blocking the others or the logout.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.keepDrafts] - Keep the user's unsent work
+ * @returns {Promise<void>}
+ */
+async function clearBlockStorage({ keepDrafts = false } = {}) {
+    const results = await Promise.allSettled(BLOCK_STORAGE
+        .filter(({ userWork }) => !(keepDrafts && userWork))
+        .map(({ clear }) => clear()));
+    results.filter(({ status }) => status === 'rejected')
+        // eslint-disable-next-line no-console
+        .forEach(({ reason }) => console.warn('Unable to clear stored user data:', reason));
+}
+
+/**
+ * Sends the browser to the signed-out page
+ *
+ * @param {string} [reason] - Why the user was signed out ('logout', 'idle', 'expired')
+ * @returns {Promise<void>}
+ */
+export async function goToSignedOutPage(reason = 'logout') {
+    const config = await forgeRockConfig();
+    const url = new URL(config.app.signedOutPath, window.location.origin);
+    url.searchParams.set('reason', reason);
+    window.location.assign(url.href);
+}
+
+/**
+ * Logs the user out
+ * Stops the session checker, revokes the tokens, purges auth state (and, unless
+ * asked to keep them, the user's form drafts and queued submissions) and
+ * terminates the session on the identity provider side. Other tabs are told to follow.
  *
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Why the user is being logged out ('logout', 'idle', 'expired')
+ * @param {boolean} [options.keepDrafts] - Keep saved drafts, e.g. on a forced logout
  * @returns {Promise<void>}
  */
-export async function doLogout() {
+export async function doLogout({ reason = 'logout', keepDrafts = false } = {}) {
+    const config = await forgeRockConfig();
+    activeChecker?.detach();
+    await revokeTokens();
+    clearAuthStorage();
+    clearActiveAgent();
+    await clearBlockStorage({ keepDrafts });
     try {
         await fetch(`${config.iam.baseUrl}/api/iam/v1/sessions?_action=logout`, {
             method: 'POST',
             headers: {
-                'Accept': 'application/json',
-                'Accept-Api-Version': 'resource=3.1, protocol=1.0'
+                Accept: 'application/json',
+                'Accept-Api-Version': 'resource=3.1, protocol=1.0',
             },
-            credentials: 'include' // Include session cookies
+            credentials: 'include', // Include session cookies
         });
     } catch (err) {
+        // eslint-disable-next-line no-console
         console.error('Logout API failed:', err);
+    } finally {
+        // Sent once the IdP session is gone so other tabs do not silently sign back in
+        publish('session:logout', { reason, keepDrafts });
     }
 }
 
+// Another tab logged out (or saw the session expire): follow it
+subscribe('session:logout', async ({ reason, keepDrafts }) => {
+    activeChecker?.detach();
+    // drafts are saved for the signed-in user, so before the auth state goes
+    if (keepDrafts) {
+        await notifyBeforeLogout();
+    }
+    clearAuthStorage();
+    clearActiveAgent();
+    // drafts are shared storage, the other tab has dealt with them
+    await clearBlockStorage({ keepDrafts: true });
+    await goToSignedOutPage(reason);
+});
+
+/**
+ * Extends the session on the identity provider side
+ *
+ * @returns {Promise<string>} One of SESSION_STATUS
+ */
+function extendSession() {
+    return callSessionEndpoint('refresh', 'protocol=1.0,resource=2.0', () => true);
+}
+
+/**
+ * Builds the idle warning dialog
+ *
+ * @param {Function} onStay - Called when the user chooses to stay signed in
+ * @param {Function} onLogout - Called when the user chooses to log out
+ * @returns {{dialog: HTMLDialogElement, setRemaining: Function}} Dialog and countdown updater
+ */
+function createIdleDialog(onStay, onLogout) {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'session-timeout-dialog';
+    dialog.setAttribute('aria-labelledby', 'session-timeout-title');
+    dialog.setAttribute('aria-describedby', 'session-timeout-message');
+    dialog.innerHTML = `
+        <h2 id="session-timeout-title">Are you still there?</h2>
+        <p id="session-timeout-message">
+            For your security you will be logged out in <strong class="session-timeout-countdown"></strong>.
+            Your quote in progress will be saved.
+        </p>
+        <div class="session-timeout-actions">
+            <button type="button" class="session-timeout-stay">Stay signed in</button>
+            <button type="button" class="session-timeout-logout secondary">Log out now</button>
+        </div>`;
+
+    const countdown = dialog.querySelector('.session-timeout-countdown');
+    dialog.querySelector('.session-timeout-stay').addEventListener('click', onStay);
+    dialog.querySelector('.session-timeout-logout').addEventListener('click', onLogout);
+    // Escape would close the dialog without extending the session
+    dialog.addEventListener('cancel', (event) => {
+        event.preventDefault();
+        onStay();
+    });
+    document.body.append(dialog);
+
+    function setRemaining(ms) {
+        const seconds = Math.max(0, Math.ceil(ms / 1000));
+        const minutes = Math.floor(seconds / 60);
+        countdown.textContent = minutes > 0
+            ? `${minutes}:${String(seconds % 60).padStart(2, '0')} minutes`
+            : `${seconds} seconds`;
+    }
+
+    return { dialog, setRemaining };
+}
+
 /**
  * Creates a session checker instance that monitors session validity
  *
@@ -48,64 +312,201 @@ export async function doLogout() {
  * at most once per configured interval. Validation is triggered by user
  * activity events (clicks, keypresses, mouse movements, etc.)
  *
- * @param {Object} [options] - Configuration options (currently unused)
+ * @param {Object} [options] - Configuration options, e.g. the `iam` section of the site config
+ * @param {number} [options.sessionCheckInterval] - Minimum time (ms) between two validations
+ * @param {number} [options.idleTimeout] - Inactivity (ms) after which the user is logged out
+ * @param {number} [options.idleWarning] - How long (ms) before the idle logout to show the warning
  * @returns {{attach: Function, detach: Function}} Session checker instance
  */
 export function createSessionChecker(options = {}) {
-    const interval = config.iam.sessionCheckInterval;
+    const interval = Number(options.sessionCheckInterval) || DEFAULT_CHECK_INTERVAL;
+    const idleTimeout = Number(options.idleTimeout) || DEFAULT_IDLE_TIMEOUT;
+    const idleWarning = Math.min(Number(options.idleWarning) || DEFAULT_IDLE_WARNING, idleTimeout);
+    // filled in once its methods are defined, attach() registers it as the active checker
+    const checker = {};
     let lastCheck = now();
+    let lastActivity = now();
     let attached = false;
+    let listeners = null;
+    let idleTimer = null;
+    let countdownTimer = null;
+    let idleDialog = null;
+    let lastActivityBroadcast = 0;
+    let failedChecks = 0;
+    let retryTimer = null;
+    let unsubscribers = [];
 
     /**
-     * Validates the current session with the identity provider
+     * Closes the idle warning dialog and stops its countdown
+     */
+    function hideIdleWarning() {
+        clearInterval(countdownTimer);
+        countdownTimer = null;
+        if (idleDialog?.dialog.open) {
+            idleDialog.dialog.close();
+        }
+    }
+
+    /**
+     * Removes all event listeners
+     * Call when session checking should stop (e.g., during logout)
+     */
+    function detach() {
+        if (!attached) return;
+        attached = false;
+        if (activeChecker === checker) {
+            activeChecker = null;
+        }
+
+        listeners.abort();
+        listeners = null;
+        clearTimeout(idleTimer);
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        hideIdleWarning();
+        unsubscribers.forEach((unsubscribe) => unsubscribe());
+        unsubscribers = [];
+    }
+
+    /**
+     * Saves open work, logs out and shows the signed-out page
      *
-     * @returns {Promise<boolean>} True if session is valid, false otherwise
+     * @param {string} reason - 'idle' or 'expired'
+     * @returns {Promise<void>}
      */
-    async function validateSession() {
-        try {
-            const resp = await fetch(`${config.iam.baseUrl}/api/iam/v1/sessions?_action=validate`, {
-                method: 'POST',
-                headers: {
-                    'Accept': 'application/json',
-                    'Accept-Api-Version': 'protocol=1.0,resource=2.0'
-                },
-                credentials: 'include' // Include session cookies
-            });
-
-            if (!resp.ok) {
-                console.warn('Session validate API returned status', resp.status);
-                return false;
+    async function forceLogout(reason) {
+        detach();
+        await notifyBeforeLogout();
+        await doLogout({ reason, keepDrafts: true });
+        await goToSignedOutPage(reason);
+    }
+
+    /**
+     * Opens the idle warning dialog and counts down to the forced logout
+     */
+    function showIdleWarning() {
+        const deadline = lastActivity + idleTimeout;
+        idleDialog.setRemaining(deadline - now());
+        if (!idleDialog.dialog.open) {
+            idleDialog.dialog.showModal();
+        }
+
+        countdownTimer = setInterval(() => {
+            const remaining = deadline - now();
+            idleDialog.setRemaining(remaining);
+            if (remaining <= 0) {
+                hideIdleWarning();
+                forceLogout('idle');
             }
+        }, 1000);
+    }
 
-            const data = await resp.json();
-            return Boolean(data && data.valid);
-        } catch (err) {
-            console.error('Session validation error:', err);
-            return false;
+    /**
+     * (Re)starts the timer that shows the idle warning
+     */
+    function scheduleIdleWarning() {
+        clearTimeout(idleTimer);
+        const warnAt = lastActivity + idleTimeout - idleWarning;
+        idleTimer = setTimeout(() => {
+            if (lastActivity + idleTimeout - idleWarning > now()) {
+                // Activity happened since the timer was set
+                scheduleIdleWarning();
+            } else {
+                showIdleWarning();
+            }
+        }, Math.max(0, warnAt - now()));
+    }
+
+    /**
+     * Extends the IdP session and resets the idle timer
+     * Logs out if the IdP no longer recognises the session.
+     *
+     * @returns {Promise<void>}
+     */
+    async function staySignedIn() {
+        hideIdleWarning();
+        const status = await extendSession();
+        if (status !== SESSION_STATUS.INVALID) {
+            // If the IdP was unreachable, the next validation will tell
+            lastActivity = now();
+            lastCheck = status === SESSION_STATUS.VALID ? now() : lastCheck;
+            publish('session:extended', { at: lastActivity });
+            scheduleIdleWarning();
+        } else {
+            await forceLogout('expired');
+        }
+    }
+
+    /**
+     * Logs out at the user's request from the idle warning dialog
+     * The user chose to leave, so this is a regular logout.
+     *
+     * @returns {Promise<void>}
+     */
+    async function logOutNow() {
+        hideIdleWarning();
+        await doLogout();
+        await goToSignedOutPage();
+    }
+
+    /**
+     * Validates the current session with the identity provider
+     *
+     * @returns {Promise<string>} One of SESSION_STATUS
+     */
+    function validateSession() {
+        return callSessionEndpoint('validate', 'protocol=1.0,resource=2.0', (data) => Boolean(data && data.valid));
+    }
+
+    /**
+     * Validates the session and acts on the outcome
+     * Logs out only on INVALID; on UNREACHABLE schedules a retry with exponential
+     * backoff (capped at the check interval). Skipped while offline.
+     *
+     * @returns {Promise<void>}
+     */
+    async function runValidation() {
+        if (!navigator.onLine) return;
+
+        const status = await validateSession();
+
+        if (status === SESSION_STATUS.INVALID) {
+            await forceLogout('expired');
+        } else if (status === SESSION_STATUS.VALID) {
+            failedChecks = 0;
+            publish('session:validated', { at: lastCheck });
+        } else {
+            failedChecks += 1;
+            const delay = Math.min(RETRY_BASE_DELAY * 2 ** (failedChecks - 1), interval);
+            retryTimer = setTimeout(() => {
+                retryTimer = null;
+                lastCheck = now();
+                if (attached && claimLeadership()) {
+                    runValidation();
+                }
+            }, delay);
         }
     }
 
     /**
      * Checks session validity if enough time has passed since last check
-     * Logs out and reloads page if session is invalid
+     * Logs out if session is invalid
      *
      * @returns {Promise<void>}
      */
     async function checkIfNeeded() {
         const nowTs = now();
 
+        // A backoff retry is already scheduled, or there is no network to check with
+        if (retryTimer || !navigator.onLine) return;
+
         // Only check if interval has elapsed to avoid excessive API calls
         if (nowTs - lastCheck >= interval) {
             lastCheck = nowTs;
-            console.log('sessionChecker: validating session at', new Date(nowTs).toLocaleString());
-
-            const valid = await validateSession();
 
-            if (!valid) {
-                console.log('sessionChecker: session invalid, logging out');
-                await doLogout();
-                window.location.reload(); // Reload triggers re-authentication
-            }
+            // Only the leader tab validates; the others pick up its result
+            if (!claimLeadership()) return;
+            await runValidation();
         }
     }
 
@@ -114,13 +515,54 @@ export function createSessionChecker(options = {}) {
      * Triggers session validation check in a fire-and-forget manner
      */
     async function activityHandler() {
+        // Timers are throttled in background tabs, so the idle deadline may pass unnoticed
+        if (now() - lastActivity >= idleTimeout) {
+            hideIdleWarning();
+            await forceLogout('idle');
+            return;
+        }
+        // Only an explicit choice in the warning dialog counts once it is showing
+        if (!countdownTimer) {
+            lastActivity = now();
+            if (lastActivity - lastActivityBroadcast >= ACTIVITY_BROADCAST_INTERVAL) {
+                lastActivityBroadcast = lastActivity;
+                publish('session:activity', { at: lastActivity });
+            }
+        }
         try {
             await checkIfNeeded();
         } catch (err) {
+            // eslint-disable-next-line no-console
             console.error('Error during session check on activity:', err);
         }
     }
 
+    /**
+     * Resumes validation as soon as the browser is back online
+     */
+    function onlineHandler() {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+        failedChecks = 0;
+        lastCheck = now();
+        if (claimLeadership()) {
+            runValidation();
+        }
+    }
+
+    /**
+     * Applies activity reported by another tab
+     * Dismisses this tab's idle warning, since the user is evidently still around.
+     *
+     * @param {{at: number}} payload - Time of the activity
+     */
+    function peerActivityHandler({ at }) {
+        if (at <= lastActivity) return;
+        lastActivity = at;
+        hideIdleWarning();
+        scheduleIdleWarning();
+    }
+
     /**
      * Attaches event listeners for user activity
      * Once attached, session will be validated on user interaction
@@ -128,46 +570,34 @@ export function createSessionChecker(options = {}) {
     function attach() {
         if (attached) return;
         attached = true;
+        activeChecker = checker;
+        idleDialog ??= createIdleDialog(staySignedIn, logOutNow);
 
         // Listen to various user interaction events
-        window.addEventListener('click', activityHandler);
-        window.addEventListener('keypress', activityHandler);
-        window.addEventListener('focus', activityHandler);
-        window.addEventListener('mousemove', activityHandler);
-        window.addEventListener('scroll', activityHandler);
-        window.addEventListener('blur', activityHandler);
-        window.addEventListener('touchstart', activityHandler);
-        window.addEventListener('touchmove', activityHandler);
-        document.addEventListener('visibilitychange', activityHandler);
-
-        console.log('sessionChecker: attached event handlers');
-    }
-
-    /**
-     * Removes all event listeners
-     * Call when session checking should stop (e.g., during logout)
-     */
-    function detach() {
-        if (!attached) return;
-        attached = false;
-
-        window.removeEventListener('click', activityHandler);
-        window.removeEventListener('keypress', activityHandler);
-        window.removeEventListener('focus', activityHandler);
-        window.removeEventListener('mousemove', activityHandler);
-        window.removeEventListener('scroll', activityHandler);
-        window.removeEventListener('blur', activityHandler);
-        window.removeEventListener('touchstart', activityHandler);
-        window.removeEventListener('touchmove', activityHandler);
-        document.removeEventListener('visibilitychange', activityHandler);
+        listeners = new AbortController();
+        const { signal } = listeners;
+        ['click', 'keypress', 'focus', 'mousemove', 'scroll', 'blur', 'touchstart', 'touchmove']
+            .forEach((type) => window.addEventListener(type, activityHandler, { signal }));
+        document.addEventListener('visibilitychange', activityHandler, { signal });
+        window.addEventListener('online', onlineHandler, { signal });
+        lastActivity = now();
+        scheduleIdleWarning();
 
-        console.log('sessionChecker: detached event handlers');
+        // Share validation results and activity with the other tabs
+        unsubscribers = [
+            subscribe('session:validated', ({ at }) => {
+                lastCheck = Math.max(lastCheck, at);
+            }),
+            subscribe('session:activity', peerActivityHandler),
+            subscribe('session:extended', (payload) => {
+                lastCheck = Math.max(lastCheck, payload.at);
+                peerActivityHandler(payload);
+            }),
+        ];
     }
 
-    return {
-        attach,
-        detach
-    };
+    Object.assign(checker, { attach, detach });
+    return checker;
 }
 
 export default createSessionChecker;
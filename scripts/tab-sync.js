@@ -0,0 +1,138 @@
+/**
+ * Cross-Tab Coordination
+ *
+ * Lets the auth modules in every open tab of the site talk to each other.
+ * Messages go over a BroadcastChannel, with a localStorage 'storage' event
+ * fallback for browsers without one. Messages marked sensitive (tokens) are
+ * never written to storage, so they are only shared where BroadcastChannel exists.
+ *
+ * A lightweight lease in localStorage elects one tab as leader: the leader
+ * performs session validation and token renewal, and the other tabs reuse
+ * its results. The lease expires on its own, so leadership moves to another
+ * tab when the leader is closed or goes quiet.
+ *
+ * @module tab-sync
+ */
+
+const CHANNEL_NAME = 'cil-auth';
+const STORAGE_MESSAGE_KEY = 'cil-auth:message';
+const LEADER_KEY = 'cil-auth:leader';
+
+/**
+ * How long a leadership claim stays valid without being renewed
+ */
+const LEASE_MS = 15000;
+
+/**
+ * Unique identifier of this tab
+ */
+export const tabId = Array.from(
+  crypto.getRandomValues(new Uint8Array(8)),
+  (byte) => byte.toString(16).padStart(2, '0'),
+).join('');
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+/**
+ * True when sensitive messages can be shared with other tabs
+ */
+export const canShareSecrets = Boolean(channel);
+
+/**
+ * Registered message handlers keyed by message type
+ * @type {Map<string, Set<Function>>}
+ */
+const handlers = new Map();
+
+function dispatch(message) {
+  if (!message || message.from === tabId) return;
+  handlers.get(message.type)?.forEach((handler) => {
+    try {
+      handler(message.payload);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error(`tab-sync: handler for ${message.type} failed`, error);
+    }
+  });
+}
+
+channel?.addEventListener('message', (event) => dispatch(event.data));
+
+window.addEventListener('storage', (event) => {
+  if (event.key !== STORAGE_MESSAGE_KEY || !event.newValue) return;
+  try {
+    dispatch(JSON.parse(event.newValue));
+  } catch (error) {
+    // ignore malformed messages
+  }
+});
+
+/**
+ * Sends a message to every other open tab of the site
+ *
+ * @param {string} type - Message type
+ * @param {*} [payload] - JSON-serializable payload
+ * @param {Object} [options]
+ * @param {boolean} [options.sensitive] - Never fall back to localStorage for this message
+ */
+export function publish(type, payload, { sensitive = false } = {}) {
+  const message = { type, payload, from: tabId };
+  if (channel) {
+    channel.postMessage(message);
+  } else if (!sensitive) {
+    try {
+      // a unique value makes sure the storage event fires even for repeated messages
+      const unique = { ...message, sentAt: Math.random() };
+      localStorage.setItem(STORAGE_MESSAGE_KEY, JSON.stringify(unique));
+      localStorage.removeItem(STORAGE_MESSAGE_KEY);
+    } catch (error) {
+      // storage unavailable, other tabs will catch up on their own
+    }
+  }
+}
+
+/**
+ * Registers a handler for messages of the given type from other tabs
+ *
+ * @param {string} type - Message type
+ * @param {Function} handler - Called with the message payload
+ * @returns {Function} Function that removes the handler again
+ */
+export function subscribe(type, handler) {
+  if (!handlers.has(type)) handlers.set(type, new Set());
+  handlers.get(type).add(handler);
+  return () => handlers.get(type).delete(handler);
+}
+
+function readLease() {
+  try {
+    return JSON.parse(localStorage.getItem(LEADER_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Claims (or renews) leadership for this tab if no other tab holds a live lease
+ *
+ * @returns {boolean} True if this tab is the leader
+ */
+export function claimLeadership() {
+  try {
+    const lease = readLease();
+    if (!lease || lease.id === tabId || lease.expires < Date.now()) {
+      const claim = { id: tabId, expires: Date.now() + LEASE_MS };
+      localStorage.setItem(LEADER_KEY, JSON.stringify(claim));
+    }
+    return readLease()?.id === tabId;
+  } catch (error) {
+    // without storage every tab has to look after itself
+    return true;
+  }
+}
+
+window.addEventListener('pagehide', () => {
+  if (readLease()?.id === tabId) {
+    localStorage.removeItem(LEADER_KEY);
+  }
+});
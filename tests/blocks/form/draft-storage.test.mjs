@@ -0,0 +1,167 @@
+import '../../helpers/dom.js';
+import {
+  describe, it, beforeEach, afterEach, mock,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMemoryDraftStorage, createRestDraftStorage,
+} from '../../../blocks/form/draft-storage.js';
+
+const ENDPOINT = 'https://publish.example.com/bin/drafts';
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+/**
+ * Stands in for the drafts service, implementing the contract in the README
+ */
+function createDraftsService({ update = 'PUT' } = {}) {
+  const drafts = new Map();
+  const requests = [];
+  let nextId = 1;
+
+  async function handle(url, { method = 'GET', body } = {}) {
+    requests.push({ method, url: String(url) });
+    const [formId, draftId, ...rest] = String(url).slice(ENDPOINT.length + 1).split('/')
+      .map(decodeURIComponent);
+    const key = `${formId}/${draftId}`;
+    if (!formId || rest.length) return new Response(null, { status: 404 });
+
+    if (!draftId) {
+      if (method !== 'POST') return new Response(null, { status: 405 });
+      const id = `d${nextId}`;
+      nextId += 1;
+      drafts.set(`${formId}/${id}`, body);
+      return json({ draftId: id }, 201);
+    }
+    if (method === update) {
+      if (!drafts.has(key)) return new Response(null, { status: 404 });
+      drafts.set(key, body);
+      return new Response(null, { status: 204 });
+    }
+    if (method === 'GET') {
+      if (!drafts.has(key)) return new Response(null, { status: 404 });
+      return json(JSON.parse(drafts.get(key)));
+    }
+    if (method === 'DELETE') {
+      return new Response(null, { status: drafts.delete(key) ? 204 : 404 });
+    }
+    return new Response(null, { status: 405 });
+  }
+
+  return { handle, requests };
+}
+
+/**
+ * What every draft storage adapter must do, whatever keeps the drafts
+ */
+function describeDraftStorageContract(name, createStorage) {
+  describe(`${name} adapter`, () => {
+    let storage;
+    beforeEach(() => {
+      storage = createStorage();
+    });
+
+    it('loads a saved draft', async () => {
+      const draftId = await storage.save('quote', { data: { name: 'Ann', items: [1, 2] }, step: 2 });
+      assert.equal(typeof draftId, 'string');
+      assert.deepEqual(await storage.load('quote', draftId), {
+        data: { name: 'Ann', items: [1, 2] }, step: 2,
+      });
+    });
+
+    it('gives each new draft its own id', async () => {
+      const first = await storage.save('quote', { data: { name: 'Ann' } });
+      const second = await storage.save('quote', { data: { name: 'Bob' } });
+      assert.notEqual(first, second);
+      assert.deepEqual((await storage.load('quote', first)).data, { name: 'Ann' });
+      assert.deepEqual((await storage.load('quote', second)).data, { name: 'Bob' });
+    });
+
+    it('updates a draft saved with its id', async () => {
+      const draftId = await storage.save('quote', { data: { name: 'Ann' }, step: 1 });
+      assert.equal(await storage.save('quote', { data: { name: 'Anne' }, step: 3 }, draftId), draftId);
+      assert.deepEqual(await storage.load('quote', draftId), { data: { name: 'Anne' }, step: 3 });
+    });
+
+    it('keeps drafts apart per form', async () => {
+      const draftId = await storage.save('quote', { data: { name: 'Ann' } });
+      assert.equal(await storage.load('claim', draftId), null);
+    });
+
+    it('loads an unknown draft as null', async () => {
+      assert.equal(await storage.load('quote', 'missing'), null);
+    });
+
+    it('hands out copies, not the stored draft', async () => {
+      const data = { name: 'Ann' };
+      const draftId = await storage.save('quote', { data });
+      data.name = 'changed';
+      const loaded = await storage.load('quote', draftId);
+      loaded.data.name = 'changed again';
+      assert.deepEqual((await storage.load('quote', draftId)).data, { name: 'Ann' });
+    });
+
+    it('removes a draft, and removing it again is no error', async () => {
+      const draftId = await storage.save('quote', { data: { name: 'Ann' } });
+      await storage.remove('quote', draftId);
+      assert.equal(await storage.load('quote', draftId), null);
+      await storage.remove('quote', draftId);
+    });
+  });
+}
+
+describeDraftStorageContract('memory', createMemoryDraftStorage);
+
+describe('REST draft storage', () => {
+  let service;
+  beforeEach(() => {
+    service = createDraftsService();
+    mock.method(globalThis, 'fetch', (url, init) => service.handle(url, init));
+  });
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describeDraftStorageContract('REST', () => createRestDraftStorage({ endpoint: ENDPOINT }));
+
+  it('addresses drafts below the endpoint by form and draft id', async () => {
+    const storage = createRestDraftStorage({ endpoint: `${ENDPOINT}/` });
+    const draftId = await storage.save('forms/quote form', { data: {} });
+    await storage.save('forms/quote form', { data: {} }, draftId);
+    await storage.load('forms/quote form', draftId);
+    await storage.remove('forms/quote form', draftId);
+    const form = `${ENDPOINT}/forms%2Fquote%20form`;
+    assert.deepEqual(service.requests, [
+      { method: 'POST', url: form },
+      { method: 'PUT', url: `${form}/${draftId}` },
+      { method: 'GET', url: `${form}/${draftId}` },
+      { method: 'DELETE', url: `${form}/${draftId}` },
+    ]);
+  });
+
+  it('uses the methods it is given', async () => {
+    service = createDraftsService({ update: 'PATCH' });
+    const storage = createRestDraftStorage({ endpoint: ENDPOINT, methods: { update: 'PATCH' } });
+    const draftId = await storage.save('quote', { data: { name: 'Ann' } });
+    await storage.save('quote', { data: { name: 'Anne' } }, draftId);
+    assert.deepEqual((await storage.load('quote', draftId)).data, { name: 'Anne' });
+    assert.equal(service.requests[1].method, 'PATCH');
+  });
+
+  it('fails a save the service answers without a draft id', async () => {
+    mock.method(globalThis, 'fetch', async () => json({}, 201));
+    const storage = createRestDraftStorage({ endpoint: ENDPOINT });
+    await assert.rejects(storage.save('quote', { data: {} }), /did not return a draft id/);
+  });
+
+  it('fails when the service refuses', async () => {
+    mock.method(globalThis, 'fetch', async () => new Response(null, { status: 500 }));
+    const storage = createRestDraftStorage({ endpoint: ENDPOINT });
+    await assert.rejects(storage.save('quote', { data: {} }), /Saving the draft failed: 500/);
+    await assert.rejects(storage.load('quote', 'd1'), /Loading the draft failed: 500/);
+    await assert.rejects(storage.remove('quote', 'd1'), /Deleting the draft failed: 500/);
+  });
+});
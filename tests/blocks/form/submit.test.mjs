@@ -0,0 +1,146 @@
+import '../../helpers/dom.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateFormRendition } from '../../../blocks/form/form.js';
+import transferRepeatableDOM from '../../../blocks/form/components/repeat/repeat.js';
+import { constructPayload } from '../../../blocks/form/submit.js';
+
+/**
+ * Renders a form from its definition items, like the form block does
+ */
+async function renderForm(items) {
+  const form = document.createElement('form');
+  document.body.replaceChildren(form);
+  await generateFormRendition({ items }, form);
+  transferRepeatableDOM(form);
+  return form;
+}
+
+const field = (name, fieldType, props = {}) => ({
+  id: name, name, fieldType, label: { value: name }, ...props,
+});
+
+function payloadOf(form) {
+  const { payload: { __id__: id, ...data }, files } = constructPayload(form);
+  assert.equal(typeof id, 'number');
+  return { data, files };
+}
+
+function dropFiles(form, name, files) {
+  const input = form.querySelector(`input[name="${name}"]`);
+  const drop = new Event('drop', { cancelable: true });
+  drop.dataTransfer = { files };
+  input.closest('.file-drag-area').dispatchEvent(drop);
+  return input;
+}
+
+describe('constructPayload', () => {
+  it('nests the fields of named panels and flattens unnamed ones', async () => {
+    const form = await renderForm([
+      field('email', 'email', { value: 'a@b.com' }),
+      field('insured', 'panel', {
+        items: [
+          field('firstName', 'text-input', { value: 'Ann' }),
+          field('address', 'panel', { items: [field('postcode', 'text-input', { value: '2000' })] }),
+        ],
+      }),
+      { id: 'layout', fieldType: 'panel', items: [field('phone', 'text-input', { value: '0400' })] },
+    ]);
+    assert.deepEqual(payloadOf(form).data, {
+      email: 'a@b.com',
+      insured: { firstName: 'Ann', address: { postcode: '2000' } },
+      phone: '0400',
+    });
+  });
+
+  it('sends a repeatable panel as an array with one object per entry', async () => {
+    const form = await renderForm([
+      field('caravans', 'panel', {
+        repeatable: true,
+        items: [field('vin', 'text-input'), field('length', 'number-input', { type: 'number' })],
+      }),
+    ]);
+    form.querySelector('.item-add').click();
+    const entries = form.querySelectorAll('fieldset[name="caravans"]');
+    assert.equal(entries.length, 2);
+    [['X1', '7.2'], ['X2', '']].forEach(([vin, length], index) => {
+      entries[index].querySelector('[name="vin"]').value = vin;
+      entries[index].querySelector('[name="length"]').value = length;
+    });
+    assert.deepEqual(payloadOf(form).data, {
+      caravans: [{ vin: 'X1', length: 7.2 }, { vin: 'X2', length: null }],
+    });
+  });
+
+  it('sends checkbox groups as arrays and true/false options as booleans', async () => {
+    const form = await renderForm([
+      field('extras', 'checkbox-group', { enum: ['annexe', 'awning', 'bikes'], value: ['annexe', 'bikes'] }),
+      field('none', 'checkbox-group', { enum: ['a', 'b'] }),
+      field('agree', 'checkbox', { enum: ['on'] }),
+      field('garaged', 'radio-group', { enum: ['true', 'false'], value: 'false' }),
+    ]);
+    form.querySelector('[name="agree"]').checked = true;
+    assert.deepEqual(payloadOf(form).data, {
+      extras: ['annexe', 'bikes'],
+      none: [],
+      agree: true,
+      garaged: false,
+    });
+  });
+
+  it('sends formatted numbers as numbers, not as displayed', async () => {
+    const form = await renderForm([
+      field('sumInsured', 'number-input', { type: 'number', value: 1234567, displayFormat: '#,###' }),
+      field('excess', 'number-input', { type: 'number', value: '', displayFormat: '#,###' }),
+    ]);
+    const sumInsured = form.querySelector('[name="sumInsured"]');
+    assert.notEqual(sumInsured.type, 'number', 'the field shows its formatted value');
+    assert.deepEqual(payloadOf(form).data, { sumInsured: 1234567, excess: null });
+  });
+
+  it('refers to attached files by their multipart part', async () => {
+    const form = await renderForm([
+      field('photos', 'file-input', { type: 'file[]' }),
+      field('licence', 'file-input', { type: 'file' }),
+      field('receipts', 'file-input', { type: 'file[]' }),
+      field('invoice', 'file-input', { type: 'file' }),
+    ]);
+    const van = new File(['van'], 'van.jpg', { type: 'image/jpeg' });
+    const annexe = new File(['annexe!'], 'annexe.jpg', { type: 'image/jpeg' });
+    const licence = new File(['licence'], 'licence.pdf', { type: 'application/pdf' });
+    const photos = dropFiles(form, 'photos', [van, annexe]);
+    const licenceInput = dropFiles(form, 'licence', [licence]);
+
+    const { data, files } = payloadOf(form);
+    assert.deepEqual(data, {
+      photos: [
+        {
+          part: photos.id, name: 'van.jpg', size: 3, type: 'image/jpeg',
+        },
+        {
+          part: photos.id, name: 'annexe.jpg', size: 7, type: 'image/jpeg',
+        },
+      ],
+      licence: {
+        part: licenceInput.id, name: 'licence.pdf', size: 7, type: 'application/pdf',
+      },
+      receipts: [],
+      invoice: null,
+    });
+    assert.deepEqual(files, [
+      { part: photos.id, file: van },
+      { part: photos.id, file: annexe },
+      { part: licenceInput.id, file: licence },
+    ]);
+  });
+
+  it('leaves out disabled fields and buttons', async () => {
+    const form = await renderForm([
+      field('name', 'text-input', { value: 'Ann' }),
+      field('internal', 'text-input', { value: 'x', enabled: false }),
+      field('submit', 'button', { buttonType: 'submit' }),
+    ]);
+    form.querySelector('[name="internal"]').disabled = true;
+    assert.deepEqual(payloadOf(form).data, { name: 'Ann' });
+  });
+});
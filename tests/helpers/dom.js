@@ -0,0 +1,39 @@
+/**
+ * Gives modules written for the browser a DOM to run against
+ *
+ * Import it before the module under test. Pages are served from
+ * http://localhost/, so sign-in is off unless a test turns it on.
+ */
+import { JSDOM } from 'jsdom';
+
+// aem.js takes the code base path from the scripts.js tag, blocks load their
+// components from there; jsdom does not run the script
+const CODE_BASE = new URL('../..', import.meta.url).href.replace(/\/$/, '');
+
+const { window } = new JSDOM(`<!DOCTYPE html><html><head>
+  <script type="module" src="${CODE_BASE}/scripts/scripts.js"></script>
+</head><body></body></html>`, {
+  url: 'http://localhost/',
+});
+
+// jsdom's own classes, so that DOM APIs accept what tests and modules create
+const DOM_CLASSES = ['Event', 'CustomEvent', 'FormData', 'File', 'Blob'];
+
+Object.getOwnPropertyNames(window)
+  .filter((name) => !(name in globalThis) || DOM_CLASSES.includes(name))
+  .forEach((name) => {
+    Object.defineProperty(globalThis, name, {
+      configurable: true,
+      writable: true,
+      value: window[name],
+    });
+  });
+globalThis.window = window;
+
+// tab-sync.js keeps a channel open for the page's lifetime, which must not keep a test running
+globalThis.BroadcastChannel = class extends BroadcastChannel {
+  constructor(name) {
+    super(name);
+    this.unref();
+  }
+};
@@ -0,0 +1,151 @@
+import {
+  describe, it, before, beforeEach, mock,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { verifyIdToken } from '../../scripts/id-token.js';
+
+const ISSUER = 'https://idp.example.com/am/oauth2';
+const CLIENT_ID = 'test-client';
+const NONCE = 'nonce-1234';
+
+const readFixture = async (name) => JSON.parse(
+  await readFile(new URL(`../fixtures/${name}`, import.meta.url), 'utf8'),
+);
+
+const base64Url = (bytes) => Buffer.from(bytes).toString('base64url');
+const encodeSegment = (value) => base64Url(JSON.stringify(value));
+
+let jwks;
+let signingKey;
+let jwksRequests = 0;
+
+/**
+ * Signs claims with the fixture key, like the IdP would
+ */
+async function sign(claims, header = { alg: 'RS256', kid: 'test-key-1', typ: 'JWT' }) {
+  const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+  const signature = await crypto.subtle.sign(
+    'RSASSA-PKCS1-v1_5',
+    signingKey,
+    new TextEncoder().encode(signingInput),
+  );
+  return `${signingInput}.${base64Url(signature)}`;
+}
+
+function validClaims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: 'user-1',
+    iat: now,
+    exp: now + 300,
+    auth_time: now - 10,
+    nonce: NONCE,
+    ...overrides,
+  };
+}
+
+// every test gets its own JWKS URI, so the module's key cache never carries over
+let jwksUri;
+const expectations = (overrides = {}) => ({
+  jwksUri, issuer: ISSUER, clientId: CLIENT_ID, nonce: NONCE, ...overrides,
+});
+
+describe('verifyIdToken', () => {
+  before(async () => {
+    jwks = await readFixture('jwks.json');
+    signingKey = await crypto.subtle.importKey(
+      'jwk',
+      await readFixture('signing-key.json'),
+      { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      false,
+      ['sign'],
+    );
+    mock.method(globalThis, 'fetch', async () => {
+      jwksRequests += 1;
+      return new Response(JSON.stringify(jwks), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    });
+  });
+
+  beforeEach((context) => {
+    jwksUri = `https://idp.example.com/jwks/${encodeURIComponent(context.name)}`;
+  });
+
+  it('returns the claims of a valid token', async () => {
+    const claims = validClaims();
+    assert.deepEqual(await verifyIdToken(await sign(claims), expectations()), claims);
+  });
+
+  it('downloads the JWKS once for several tokens', async () => {
+    const requestsBefore = jwksRequests;
+    await verifyIdToken(await sign(validClaims()), expectations());
+    await verifyIdToken(await sign(validClaims()), expectations());
+    assert.equal(jwksRequests - requestsBefore, 1);
+  });
+
+  it('rejects a token with another nonce', async () => {
+    const token = await sign(validClaims({ nonce: 'replayed' }));
+    await assert.rejects(verifyIdToken(token, expectations()), { code: 'invalid_nonce' });
+  });
+
+  it('rejects a token from another issuer', async () => {
+    const token = await sign(validClaims({ iss: 'https://evil.example.com' }));
+    await assert.rejects(verifyIdToken(token, expectations()), { code: 'invalid_issuer' });
+  });
+
+  it('rejects a token issued to another client', async () => {
+    const token = await sign(validClaims({ aud: 'other-client' }));
+    await assert.rejects(verifyIdToken(token, expectations()), { code: 'invalid_audience' });
+  });
+
+  it('rejects a token with several audiences and another azp', async () => {
+    const token = await sign(validClaims({ aud: [CLIENT_ID, 'other-client'], azp: 'other-client' }));
+    await assert.rejects(verifyIdToken(token, expectations()), { code: 'invalid_audience' });
+  });
+
+  it('rejects an expired token', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const token = await sign(validClaims({ iat: now - 3600, exp: now - 600 }));
+    await assert.rejects(verifyIdToken(token, expectations()), { code: 'expired' });
+  });
+
+  it('accepts a token that expired within the clock skew', async () => {
+    const token = await sign(validClaims({ exp: Math.floor(Date.now() / 1000) - 30 }));
+    await verifyIdToken(token, expectations());
+  });
+
+  it('rejects a token whose claims were changed after signing', async () => {
+    const [header, , signature] = (await sign(validClaims())).split('.');
+    const forged = `${header}.${encodeSegment(validClaims({ sub: 'admin' }))}.${signature}`;
+    await assert.rejects(verifyIdToken(forged, expectations()), { code: 'invalid_signature' });
+  });
+
+  it('rejects a token with a corrupted signature', async () => {
+    const token = await sign(validClaims());
+    const tampered = `${token.slice(0, -4)}${token.endsWith('AAAA') ? 'BBBB' : 'AAAA'}`;
+    await assert.rejects(verifyIdToken(tampered, expectations()), { code: 'invalid_signature' });
+  });
+
+  it('rejects a token signed with an unknown key', async () => {
+    const token = await sign(validClaims(), { alg: 'RS256', kid: 'rotated-away' });
+    await assert.rejects(verifyIdToken(token, expectations()), { code: 'unknown_key' });
+  });
+
+  it('rejects an unsigned token', async () => {
+    const token = `${encodeSegment({ alg: 'none' })}.${encodeSegment(validClaims())}.`;
+    await assert.rejects(verifyIdToken(token, expectations()), { code: 'unsupported_algorithm' });
+  });
+
+  it('rejects a stale authentication when max_age was requested', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const token = await sign(validClaims({ auth_time: now - 3600 }));
+    await assert.rejects(
+      verifyIdToken(token, expectations({ maxAge: 300 })),
+      { code: 'stale_authentication' },
+    );
+  });
+});
@@ -0,0 +1,332 @@
+/* eslint-env node */
+/* eslint-disable no-console */
+/**
+ * Local stand-in for the ForgeRock identity provider
+ *
+ * Implements the endpoints used by scripts/oauth.js, scripts/session.js and
+ * scripts/id-token.js so the whole sign-in flow can run against localhost:
+ *
+ *   GET  /api/openid/oauth/v3/{brand}/authorize       (prompt=none|login, max_age, acr_values)
+ *   POST /api/openid/oauth/v3/{brand}/access_token   (authorization_code, refresh_token)
+ *   GET  /api/openid/oauth/v3/{brand}/userinfo
+ *   GET  /api/openid/oauth/v3/{brand}/connect/jwk_uri
+ *   POST /api/openid/oauth/v3/{brand}/token/revoke
+ *   POST /api/iam/v1/sessions?_action=validate|refresh|logout
+ *   GET  /forgerock-config.json                      (config pointing at this server)
+ *
+ * Scenarios change how it answers. Pick one with MOCK_IDP_SCENARIO or switch at
+ * runtime with POST /__scenario?name=<scenario>:
+ *
+ *   ok                    everything succeeds (default)
+ *   expired-session       session validate/refresh report the session as invalid
+ *   interaction-required  prompt=none authorize requests fail with interaction_required
+ *   denied                the user denies consent (error=access_denied)
+ *   unreachable           session and token endpoints answer 503
+ *
+ * Usage: npm run mock-idp  (PORT, MOCK_IDP_CLIENT_ID, MOCK_IDP_BRAND and
+ * MOCK_IDP_ALLOWED_ORIGINS override the defaults)
+ */
+import { createServer } from 'node:http';
+import {
+  createHash, generateKeyPairSync, randomBytes, sign,
+} from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8787;
+const BASE_URL = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'cil-local';
+const BRAND = process.env.MOCK_IDP_BRAND || 'cil';
+const ALLOWED_ORIGINS = (process.env.MOCK_IDP_ALLOWED_ORIGINS || 'http://localhost:3000').split(',');
+const OAUTH_PATH = `/api/openid/oauth/v3/${BRAND}`;
+const ISSUER = `${BASE_URL}${OAUTH_PATH}`;
+const SESSION_COOKIE = 'mockIdpSession';
+const TOKEN_LIFETIME_SECONDS = 300;
+
+const SCENARIOS = ['ok', 'expired-session', 'interaction-required', 'denied', 'unreachable'];
+let scenario = process.env.MOCK_IDP_SCENARIO || 'ok';
+
+const USER = {
+  sub: 'mock-user-1',
+  name: 'Dana Dealer',
+  given_name: 'Dana',
+  family_name: 'Dealer',
+  email: 'dana.dealer@example.com',
+  agent_ids: ['100001', '100002'],
+};
+
+const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = randomBytes(8).toString('hex');
+const JWKS = {
+  keys: [{
+    ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256',
+  }],
+};
+
+/** authorization codes, access tokens, refresh tokens (to auth_time) and sessions (to auth_time) */
+const codes = new Map();
+const accessTokens = new Set();
+const refreshTokens = new Map();
+const sessions = new Map();
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+const randomToken = () => randomBytes(24).toString('base64url');
+
+function signJwt(claims) {
+  const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const payload = base64Url(JSON.stringify(claims));
+  const signature = sign('sha256', Buffer.from(`${header}.${payload}`), privateKey);
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+}
+
+function issueTokens({ nonce, authTime, acr }) {
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = randomToken();
+  const refreshToken = randomToken();
+  accessTokens.add(accessToken);
+  refreshTokens.set(refreshToken, { authTime, acr });
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_LIFETIME_SECONDS,
+    id_token: signJwt({
+      ...USER,
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      iat: now,
+      exp: now + TOKEN_LIFETIME_SECONDS,
+      auth_time: authTime,
+      ...(acr ? { acr } : {}),
+      ...(nonce ? { nonce } : {}),
+    }),
+  };
+}
+
+function getCookies(req) {
+  return Object.fromEntries((req.headers.cookie || '').split(';')
+    .map((part) => part.trim().split('='))
+    .filter(([name]) => name));
+}
+
+function corsHeaders(req) {
+  const { origin } = req.headers;
+  if (!origin || !ALLOWED_ORIGINS.includes(origin)) return {};
+  return {
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Allow-Headers': 'Accept, Accept-Api-Version, Authorization, Content-Type, X-Correlation-ID',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  };
+}
+
+function send(req, res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+    ...corsHeaders(req),
+    ...headers,
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function redirect(res, location, headers = {}) {
+  res.writeHead(302, { Location: location, ...headers });
+  res.end();
+}
+
+async function readForm(req) {
+  const chunks = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of req) chunks.push(chunk);
+  return new URLSearchParams(Buffer.concat(chunks).toString());
+}
+
+function authorize(req, res, params) {
+  const redirectUri = params.get('redirect_uri');
+  if (params.get('client_id') !== CLIENT_ID || !redirectUri
+    || !ALLOWED_ORIGINS.includes(new URL(redirectUri).origin)) {
+    send(req, res, 400, { error: 'invalid_request', error_description: 'unknown client or redirect_uri' });
+    return;
+  }
+  if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) {
+    send(req, res, 400, { error: 'invalid_request', error_description: 'PKCE S256 required' });
+    return;
+  }
+
+  const target = new URL(redirectUri);
+  target.searchParams.set('state', params.get('state') || '');
+  const silent = params.get('prompt') === 'none';
+  const hasSession = sessions.has(getCookies(req)[SESSION_COOKIE]);
+
+  if (scenario === 'denied' && !silent) {
+    target.searchParams.set('error', 'access_denied');
+    redirect(res, target.href);
+    return;
+  }
+  if (silent && (scenario === 'interaction-required' || !hasSession)) {
+    target.searchParams.set('error', 'interaction_required');
+    redirect(res, target.href);
+    return;
+  }
+
+  // An interactive request signs the mock user in straight away; prompt=login or an
+  // exceeded max_age count as signing in again
+  let sessionId = getCookies(req)[SESSION_COOKIE];
+  const headers = {};
+  const maxAge = params.has('max_age') ? Number(params.get('max_age')) : Infinity;
+  const reauthenticate = params.get('prompt') === 'login'
+    || Date.now() / 1000 - sessions.get(sessionId) > maxAge;
+  if (!hasSession || (reauthenticate && !silent)) {
+    sessions.delete(sessionId);
+    sessionId = randomToken();
+    sessions.set(sessionId, Math.floor(Date.now() / 1000));
+    headers['Set-Cookie'] = `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Lax`;
+  }
+  const code = randomToken();
+  codes.set(code, {
+    challenge: params.get('code_challenge'),
+    redirectUri,
+    nonce: params.get('nonce'),
+    authTime: sessions.get(sessionId),
+    // the first requested authentication context is always satisfied
+    acr: params.get('acr_values')?.split(' ')[0],
+  });
+  target.searchParams.set('code', code);
+  redirect(res, target.href, headers);
+}
+
+async function token(req, res) {
+  if (scenario === 'unreachable') {
+    send(req, res, 503, { error: 'temporarily_unavailable' });
+    return;
+  }
+  const form = await readForm(req);
+  if (form.get('client_id') !== CLIENT_ID) {
+    send(req, res, 401, { error: 'invalid_client' });
+    return;
+  }
+
+  if (form.get('grant_type') === 'authorization_code') {
+    const grant = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    const challenge = createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (!grant || grant.challenge !== challenge || grant.redirectUri !== form.get('redirect_uri')) {
+      send(req, res, 400, { error: 'invalid_grant' });
+      return;
+    }
+    send(req, res, 200, issueTokens(grant));
+    return;
+  }
+
+  if (form.get('grant_type') === 'refresh_token') {
+    const refreshToken = form.get('refresh_token');
+    const grant = refreshTokens.get(refreshToken);
+    if (!refreshTokens.delete(refreshToken) || scenario === 'expired-session') {
+      send(req, res, 400, { error: 'invalid_grant' });
+      return;
+    }
+    send(req, res, 200, issueTokens(grant));
+    return;
+  }
+
+  send(req, res, 400, { error: 'unsupported_grant_type' });
+}
+
+async function revoke(req, res) {
+  const form = await readForm(req);
+  if (form.get('client_id') !== CLIENT_ID) {
+    send(req, res, 401, { error: 'invalid_client' });
+    return;
+  }
+  // RFC 7009: unknown tokens are not an error
+  accessTokens.delete(form.get('token'));
+  refreshTokens.delete(form.get('token'));
+  send(req, res, 200, {});
+}
+
+function userinfo(req, res) {
+  const accessToken = (req.headers.authorization || '').replace(/^Bearer /, '');
+  if (!accessTokens.has(accessToken)) {
+    send(req, res, 401, { error: 'invalid_token' });
+    return;
+  }
+  send(req, res, 200, USER);
+}
+
+function session(req, res, action) {
+  if (scenario === 'unreachable') {
+    send(req, res, 503, { code: 503, reason: 'Service Unavailable' });
+    return;
+  }
+  const sessionId = getCookies(req)[SESSION_COOKIE];
+  const valid = sessions.has(sessionId) && scenario !== 'expired-session';
+
+  if (action === 'logout') {
+    sessions.delete(sessionId);
+    send(req, res, 200, { result: 'Successfully logged out' }, {
+      'Set-Cookie': `${SESSION_COOKIE}=; Path=/; Max-Age=0`,
+    });
+  } else if (action === 'validate') {
+    send(req, res, 200, valid ? { valid: true, uid: USER.sub, realm: '/' } : { valid: false });
+  } else if (action === 'refresh') {
+    send(req, res, valid ? 200 : 401, valid ? { valid: true } : { code: 401, reason: 'Unauthorized' });
+  } else {
+    send(req, res, 400, { code: 400, reason: `Unknown action ${action}` });
+  }
+}
+
+function siteConfig(req, res) {
+  send(req, res, 200, {
+    data: [{
+      clientId: CLIENT_ID,
+      baseUrl: BASE_URL,
+      brand: BRAND,
+      // no dealer servlets here, the site's requests to it simply fail
+      publishUrl: BASE_URL,
+      sessionCheckInterval: 30000,
+      timeout: 10000,
+    }],
+  }, { 'Access-Control-Allow-Origin': '*' });
+}
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, BASE_URL);
+  console.log(`[${scenario}] ${req.method} ${url.pathname}${url.search}`);
+
+  try {
+    if (req.method === 'OPTIONS') {
+      send(req, res, 204);
+    } else if (url.pathname === `${OAUTH_PATH}/authorize`) {
+      authorize(req, res, url.searchParams);
+    } else if (url.pathname === `${OAUTH_PATH}/access_token` && req.method === 'POST') {
+      await token(req, res);
+    } else if (url.pathname === `${OAUTH_PATH}/token/revoke` && req.method === 'POST') {
+      await revoke(req, res);
+    } else if (url.pathname === `${OAUTH_PATH}/userinfo`) {
+      userinfo(req, res);
+    } else if (url.pathname === `${OAUTH_PATH}/connect/jwk_uri`) {
+      send(req, res, 200, JWKS, { 'Access-Control-Allow-Origin': '*' });
+    } else if (url.pathname === '/api/iam/v1/sessions' && req.method === 'POST') {
+      session(req, res, url.searchParams.get('_action'));
+    } else if (url.pathname === '/forgerock-config.json') {
+      siteConfig(req, res);
+    } else if (url.pathname === '/__scenario' && req.method === 'POST') {
+      const name = url.searchParams.get('name');
+      if (!SCENARIOS.includes(name)) {
+        send(req, res, 400, { error: `Unknown scenario, use one of ${SCENARIOS.join(', ')}` });
+      } else {
+        scenario = name;
+        send(req, res, 200, { scenario });
+      }
+    } else {
+      send(req, res, 404, { error: 'not_found' });
+    }
+  } catch (error) {
+    console.error(error);
+    send(req, res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock IdP listening on ${BASE_URL} (scenario: ${scenario})`);
+  console.log(`Site config: ${BASE_URL}/forgerock-config.json`);
+});